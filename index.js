@@ -4,6 +4,7 @@ var Networks = require('./lib/networks');
 
 Networks.Unit = require('./lib/unit');
 Networks.URI = require('./lib/uri');
+Networks.DerivationPath = require('./lib/derivationpath');
 Networks.version = 'v' + require('./package.json').version;
 
 module.exports = Networks;
@@ -0,0 +1,324 @@
+'use strict';
+
+var owsCommon = require('@owstack/ows-common');
+var JSUtil = owsCommon.util.js;
+var lodash = owsCommon.deps.lodash;
+var errors = require('./errors');
+var Networks = require('./networks');
+
+var HARDENED_OFFSET = 0x80000000;
+
+/**
+ * The levels following the purpose level of a path, for each supported purpose.
+ *
+ *   44 - BIP44 multi-account hierarchy
+ *   45 - BIP45 multisig hierarchy (cosigner index instead of coin type and account)
+ *   48 - multi-script multisig hierarchy (script type after the account)
+ *   49 - BIP49 p2sh-p2wpkh accounts
+ *   84 - BIP84 p2wpkh accounts
+ *   86 - BIP86 p2tr accounts
+ */
+var LEVELS = {
+  44: ['coinType', 'account', 'change', 'index'],
+  45: ['cosigner', 'change', 'index'],
+  48: ['coinType', 'account', 'scriptType', 'change', 'index'],
+  49: ['coinType', 'account', 'change', 'index'],
+  84: ['coinType', 'account', 'change', 'index'],
+  86: ['coinType', 'account', 'change', 'index']
+};
+
+/**
+ * The levels that are derived using hardened derivation, in addition to the purpose.
+ */
+var HARDENED_LEVELS = ['coinType', 'account', 'scriptType'];
+
+/**
+ * @private
+ * Returns the levels following the purpose level for a purpose.
+ */
+function getLevels(purpose) {
+  if (!LEVELS[purpose]) {
+    throw new errors.DerivationPath.UnsupportedPurpose(purpose);
+  }
+  return LEVELS[purpose];
+}
+
+/**
+ * @private
+ * Returns whether a level is derived using hardened derivation.
+ */
+function isHardened(level) {
+  return HARDENED_LEVELS.indexOf(level) >= 0;
+}
+
+/**
+ * @private
+ * Checks that the change level, if present, is 0 (external) or 1 (internal).
+ */
+function checkChange(levels, path) {
+  if (!lodash.isUndefined(levels.change) && levels.change !== 0 && levels.change !== 1) {
+    throw new errors.DerivationPath.InvalidPath(path, 'change must be 0 or 1');
+  }
+}
+
+/**
+ * @private
+ * Validates an object with the path levels, returning the levels of the path.
+ */
+function fromObject(data) {
+  data = data || {};
+  var purpose = lodash.isUndefined(data.purpose) ? 44 : data.purpose;
+  var layout = getLevels(purpose);
+  var levels = {purpose: purpose};
+  var description = JSON.stringify(data);
+
+  var last = lodash.findLastIndex(layout, function(level) {
+    return !lodash.isUndefined(data[level]);
+  });
+
+  lodash.forEach(layout.slice(0, last + 1), function(level) {
+    var value = data[level];
+    if (!JSUtil.isNaturalNumber(value) || value >= HARDENED_OFFSET) {
+      throw new errors.DerivationPath.InvalidPath(description, level + ' must be an integer between 0 and 2^31 - 1');
+    }
+    levels[level] = value;
+  });
+
+  checkChange(levels, description);
+  return levels;
+}
+
+/**
+ * Utility for building and parsing hierarchical deterministic wallet derivation paths of the form
+ * m / purpose' / coin_type' / account' / change / address_index (see BIP44, BIP45, BIP48, BIP49,
+ * BIP84, BIP86). A path may end at any level following the purpose, e.g., an account path
+ * m/44'/0'/0' to derive an account extended public key.
+ *
+ * The coin type of a path is the SLIP44 'coin' assignment of a network, see Network coinIndex.
+ *
+ * @example
+ * ```javascript
+ * var path = DerivationPath.fromNetwork(network, {account: 0, change: 0, index: 5});
+ * path.toString(); // "m/44'/0'/0'/0/5" for a network with coinIndex 0
+ *
+ * var path = new DerivationPath("m/84'/2'/1'/1/7");
+ * path.purpose; // 84
+ * path.index; // 7
+ * path.getNetwork(); // the network with coinIndex 2
+ * ```
+ *
+ * @param {string|Object} data - A path string or an object with the path levels
+ * @param {Number} data.purpose - The purpose (e.g., 44); defaults to 44
+ * @param {Number} data.coinType - The coin type
+ * @param {Number} data.account - The account
+ * @param {Number} data.scriptType - The script type (purpose 48 only)
+ * @param {Number} data.cosigner - The cosigner index (purpose 45 only)
+ * @param {Number} data.change - 0 for external (receive) addresses, 1 for internal (change) addresses
+ * @param {Number} data.index - The address index
+ * @throws {DerivationPath.InvalidPath} The path or one of its levels is invalid
+ * @throws {DerivationPath.UnsupportedPurpose} The path purpose is not supported
+ * @returns {DerivationPath} A new frozen instance of DerivationPath
+ * @constructor
+ */
+function DerivationPath(data) {
+  if (!(this instanceof DerivationPath)) {
+    return new DerivationPath(data);
+  }
+
+  var levels = lodash.isString(data) ? DerivationPath.parse(data) : fromObject(data);
+  JSUtil.defineImmutable(this, levels);
+  return this;
+}
+
+DerivationPath.HARDENED_OFFSET = HARDENED_OFFSET;
+
+/**
+ * The supported purposes.
+ */
+DerivationPath.Purposes = lodash.map(lodash.keys(LEVELS), Number);
+
+/**
+ * Creates a path for the specified network, using the network coinIndex as the coin type. A coinIndex
+ * given as a hardened index (i.e., with the hardened offset added) is used without the offset.
+ *
+ * @param {Network|string|number} network - A network, or a value resolved by Networks#get
+ * @param {Object} opts - The path levels following the coin type, see DerivationPath
+ * @param {Object} registry - The network registry to resolve a network value in; defaults to Networks
+ * @returns {DerivationPath} A new instance of DerivationPath
+ */
+DerivationPath.fromNetwork = function(network, opts, registry) {
+  registry = registry || Networks;
+  var resolved = lodash.isObject(network) ? network : registry.get(network);
+  if (!resolved || !JSUtil.isNaturalNumber(resolved.coinIndex)) {
+    throw new errors.InvalidArgument('network', 'unknown network ' + network);
+  }
+  return new DerivationPath(lodash.extend({}, opts, {
+    coinType: resolved.coinIndex % HARDENED_OFFSET
+  }));
+};
+
+/**
+ * Instantiate a DerivationPath from a path string.
+ *
+ * @param {string} str - A path string, e.g., "m/44'/0'/0'/0/5"
+ * @returns {DerivationPath} A new instance of DerivationPath
+ */
+DerivationPath.fromString = function(str) {
+  return new DerivationPath(str);
+};
+
+/**
+ * Instantiate a DerivationPath from an object with the path levels.
+ *
+ * @param {Object} obj - The path levels, see DerivationPath
+ * @returns {DerivationPath} A new instance of DerivationPath
+ */
+DerivationPath.fromObject = function(obj) {
+  return new DerivationPath(obj);
+};
+
+/**
+ * Convert a path string into an object with the path levels. Hardened levels may be marked with "'",
+ * 'h' or 'H'.
+ *
+ * @param {string} str - A path string
+ * @throws {DerivationPath.InvalidPath} The path does not follow the layout of its purpose
+ * @throws {DerivationPath.UnsupportedPurpose} The path purpose is not supported
+ * @returns {Object} An object with the path levels
+ */
+DerivationPath.parse = function(str) {
+  var segments = str.split('/');
+  if (segments[0] !== 'm' || segments.length < 2) {
+    throw new errors.DerivationPath.InvalidPath(str, 'expected m/purpose\'/...');
+  }
+
+  var steps = lodash.map(segments.slice(1), function(segment) {
+    var match = /^([0-9]+)(['hH]?)$/.exec(segment);
+    if (!match || Number(match[1]) >= HARDENED_OFFSET) {
+      throw new errors.DerivationPath.InvalidPath(str, 'invalid level ' + segment);
+    }
+    return {
+      value: Number(match[1]),
+      hardened: match[2] !== ''
+    };
+  });
+
+  var purpose = steps[0].value;
+  var layout = getLevels(purpose);
+  if (!steps[0].hardened) {
+    throw new errors.DerivationPath.InvalidPath(str, 'the purpose must be hardened');
+  }
+  if (steps.length - 1 > layout.length) {
+    throw new errors.DerivationPath.InvalidPath(str, 'too many levels for purpose ' + purpose);
+  }
+
+  var levels = {purpose: purpose};
+  lodash.forEach(steps.slice(1), function(step, i) {
+    var level = layout[i];
+    if (step.hardened !== isHardened(level)) {
+      throw new errors.DerivationPath.InvalidPath(str, level + ' must ' + (step.hardened ? 'not ' : '') +
+        'be hardened');
+    }
+    levels[level] = step.value;
+  });
+
+  checkChange(levels, str);
+  return levels;
+};
+
+/**
+ * Check if a path string is valid.
+ *
+ * @param {string} str - A path string
+ * @returns {boolean} Whether the path is valid
+ */
+DerivationPath.isValid = function(str) {
+  try {
+    DerivationPath.parse(str);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Returns the levels of the path in derivation order, as an array of {name, value, hardened}.
+ *
+ * @returns {Array} The path levels, starting with the purpose
+ */
+DerivationPath.prototype.getLevels = function() {
+  var self = this;
+  var levels = [{name: 'purpose', value: this.purpose, hardened: true}];
+  lodash.forEach(getLevels(this.purpose), function(level) {
+    if (!lodash.isUndefined(self[level])) {
+      levels.push({name: level, value: self[level], hardened: isHardened(level)});
+    }
+  });
+  return levels;
+};
+
+/**
+ * Returns the child indexes of the path, with the hardened offset added to hardened levels.
+ *
+ * @returns {Array} The child indexes, starting with the purpose
+ */
+DerivationPath.prototype.toArray = function() {
+  return lodash.map(this.getLevels(), function(level) {
+    return level.hardened ? level.value + HARDENED_OFFSET : level.value;
+  });
+};
+
+/**
+ * Returns the network the path coin type is assigned to. Several networks may share a coin type (e.g.,
+ * all testnets use coin type 1).
+ *
+ * @param {string} preferredCurrency - if set, prefer a network with this currency over alternatives
+ * @param {Object} registry - The network registry to search; defaults to Networks
+ * @returns {Network} The network, undefined if the path has no coin type or no network has it
+ */
+DerivationPath.prototype.getNetwork = function(preferredCurrency, registry) {
+  registry = registry || Networks;
+  if (lodash.isUndefined(this.coinType)) {
+    return undefined;
+  }
+
+  var candidates = registry.getAll(this.coinType, 'coinIndex', preferredCurrency).concat(
+    registry.getAll(this.coinType + HARDENED_OFFSET, 'coinIndex', preferredCurrency));
+  return lodash.find(candidates, {currency: preferredCurrency}) || candidates[0];
+};
+
+/**
+ * Returns a plain object representation of the path.
+ *
+ * @returns {Object} An object with the defined path levels
+ */
+DerivationPath.prototype.toJSON =
+DerivationPath.prototype.toObject = function() {
+  var json = {};
+  lodash.forEach(this.getLevels(), function(level) {
+    json[level.name] = level.value;
+  });
+  return json;
+};
+
+/**
+ * Returns the path string, with hardened levels marked with "'".
+ *
+ * @returns {string} The path, e.g., "m/44'/0'/0'/0/5"
+ */
+DerivationPath.prototype.toString = function() {
+  return ['m'].concat(lodash.map(this.getLevels(), function(level) {
+    return level.value + (level.hardened ? '\'' : '');
+  })).join('/');
+};
+
+/**
+ * Returns a string formatted for the console
+ *
+ * @returns {string} The path
+ */
+DerivationPath.prototype.inspect = function() {
+  return '<DerivationPath: ' + this.toString() + '>';
+};
+
+module.exports = DerivationPath;
@@ -0,0 +1,68 @@
+'use strict';
+
+var owsCommon = require('@owstack/ows-common');
+var lodash = owsCommon.deps.lodash;
+var errors = owsCommon.errors;
+
+/**
+ * @private
+ * Adds errors to an error of the common OWS error tree, keeping the errors it already has (registering the
+ * error again with errors.extend() would replace them). The errors are defined as for errors.extend().
+ */
+function extendError(parent, definitions) {
+  lodash.forEach(definitions, function(definition) {
+    var NodeError = function() {
+      var args = arguments;
+      this.message = definition.message.replace(/\{(\d)\}/g, function(match, i) {
+        return args[i];
+      });
+      this.stack = this.message + '\n' + (new Error()).stack;
+    };
+    NodeError.prototype = Object.create(parent.prototype);
+    NodeError.prototype.name = parent.prototype.name + definition.name;
+    parent[definition.name] = NodeError;
+  });
+}
+
+/**
+ * Errors thrown by this library, registered with the common OWS error tree.
+ */
+errors.extend({
+  name: 'Network',
+  message: 'Internal Error on Network {0}',
+  errors: [{
+    name: 'InvalidDefinition',
+    message: 'Invalid network definition: expected an object, got {0}'
+  }, {
+    name: 'MissingField',
+    message: 'Missing field {0} in network definition {1}'
+  }, {
+    name: 'InvalidField',
+    message: 'Invalid field {0} in network definition {1}: expected {2}'
+  }, {
+    name: 'Collision',
+    message: 'Network index values collide: {0}'
+  }]
+});
+
+errors.extend({
+  name: 'DerivationPath',
+  message: 'Internal Error on DerivationPath {0}',
+  errors: [{
+    name: 'InvalidPath',
+    message: 'Invalid derivation path {0}: {1}'
+  }, {
+    name: 'UnsupportedPurpose',
+    message: 'Unsupported derivation path purpose: {0}'
+  }]
+});
+
+extendError(errors.Unit, [{
+  name: 'PrecisionLoss',
+  message: 'Loss of precision: {0} must be rounded'
+}, {
+  name: 'InvalidFormat',
+  message: 'Invalid amount {0}: {1}'
+}]);
+
+module.exports = errors;
@@ -0,0 +1,253 @@
+'use strict';
+
+/* global BigInt */
+
+/**
+ * @private
+ * Exact integer arithmetic for Unit amounts. Integers are native BigInt values where the platform supports
+ * BigInt, and otherwise normalized decimal strings (e.g., '-1200'); callers treat them as opaque values and
+ * only operate on them with the functions below.
+ *
+ * divmod() truncates towards zero, the remainder has the sign of the dividend.
+ */
+
+var integerRE = /^[+-]?[0-9]+$/;
+
+/**
+ * @private
+ * Returns whether a value is a native BigInt.
+ */
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]';
+}
+
+/**
+ * @private
+ * Creates the integer functions using native BigInt values.
+ */
+function createBigIntMath() {
+  var zero = BigInt(0);
+  return {
+    fromString: function(str) {
+      return BigInt(str);
+    },
+    fromNumber: function(n) {
+      return BigInt(n);
+    },
+    toString: function(a) {
+      return a.toString();
+    },
+    toNumber: function(a) {
+      return Number(a);
+    },
+    add: function(a, b) {
+      return a + b;
+    },
+    sub: function(a, b) {
+      return a - b;
+    },
+    mul: function(a, b) {
+      return a * b;
+    },
+    divmod: function(a, b) {
+      return {quotient: a / b, remainder: a % b};
+    },
+    cmp: function(a, b) {
+      return a < b ? -1 : (a > b ? 1 : 0);
+    },
+    sign: function(a) {
+      return a < zero ? -1 : (a > zero ? 1 : 0);
+    },
+    neg: function(a) {
+      return -a;
+    }
+  };
+}
+
+function stripZeros(digits) {
+  return digits.replace(/^0+(?=[0-9])/, '');
+}
+
+function cmpMagnitude(a, b) {
+  if (a.length !== b.length) {
+    return a.length < b.length ? -1 : 1;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function addMagnitude(a, b) {
+  var result = '';
+  var carry = 0;
+  for (var i = a.length - 1, j = b.length - 1; i >= 0 || j >= 0 || carry; i--, j--) {
+    var sum = (i >= 0 ? +a[i] : 0) + (j >= 0 ? +b[j] : 0) + carry;
+    result = (sum % 10) + result;
+    carry = sum >= 10 ? 1 : 0;
+  }
+  return result;
+}
+
+/**
+ * @private
+ * Subtracts the magnitude b from the magnitude a, a must not be smaller than b.
+ */
+function subMagnitude(a, b) {
+  var result = '';
+  var borrow = 0;
+  for (var i = a.length - 1, j = b.length - 1; i >= 0; i--, j--) {
+    var diff = +a[i] - (j >= 0 ? +b[j] : 0) - borrow;
+    borrow = diff < 0 ? 1 : 0;
+    result = (diff + borrow * 10) + result;
+  }
+  return stripZeros(result);
+}
+
+function mulMagnitude(a, b) {
+  var product = [];
+  var i;
+  for (i = 0; i < a.length + b.length; i++) {
+    product[i] = 0;
+  }
+  for (i = a.length - 1; i >= 0; i--) {
+    for (var j = b.length - 1; j >= 0; j--) {
+      product[i + j + 1] += a[i] * b[j];
+    }
+  }
+  for (i = product.length - 1; i > 0; i--) {
+    product[i - 1] += Math.floor(product[i] / 10);
+    product[i] = product[i] % 10;
+  }
+  return stripZeros(product.join(''));
+}
+
+function divmodMagnitude(a, b) {
+  var quotient = '';
+  var remainder = '0';
+  for (var i = 0; i < a.length; i++) {
+    remainder = stripZeros(remainder + a[i]);
+    var digit = 0;
+    while (cmpMagnitude(remainder, b) >= 0) {
+      remainder = subMagnitude(remainder, b);
+      digit++;
+    }
+    quotient += digit;
+  }
+  return {quotient: stripZeros(quotient), remainder: remainder};
+}
+
+/**
+ * @private
+ * Creates the integer functions using decimal strings, for platforms without BigInt.
+ */
+function createStringMath() {
+  function split(a) {
+    return a[0] === '-' ? {negative: true, digits: a.slice(1)} : {negative: false, digits: a};
+  }
+
+  function join(negative, digits) {
+    return (negative && digits !== '0' ? '-' : '') + digits;
+  }
+
+  function add(a, b) {
+    var x = split(a);
+    var y = split(b);
+    if (x.negative === y.negative) {
+      return join(x.negative, addMagnitude(x.digits, y.digits));
+    }
+    if (cmpMagnitude(x.digits, y.digits) >= 0) {
+      return join(x.negative, subMagnitude(x.digits, y.digits));
+    }
+    return join(y.negative, subMagnitude(y.digits, x.digits));
+  }
+
+  function neg(a) {
+    var x = split(a);
+    return join(!x.negative, x.digits);
+  }
+
+  function sign(a) {
+    return a === '0' ? 0 : (a[0] === '-' ? -1 : 1);
+  }
+
+  return {
+    fromString: function(str) {
+      var x = split(str);
+      return join(x.negative, stripZeros(x.digits));
+    },
+    fromNumber: function(n) {
+      return String(n);
+    },
+    toString: function(a) {
+      return a;
+    },
+    toNumber: function(a) {
+      return Number(a);
+    },
+    add: add,
+    sub: function(a, b) {
+      return add(a, neg(b));
+    },
+    mul: function(a, b) {
+      var x = split(a);
+      var y = split(b);
+      return join(x.negative !== y.negative, mulMagnitude(x.digits, y.digits));
+    },
+    divmod: function(a, b) {
+      var x = split(a);
+      var y = split(b);
+      var result = divmodMagnitude(x.digits, y.digits);
+      return {
+        quotient: join(x.negative !== y.negative, result.quotient),
+        remainder: join(x.negative, result.remainder)
+      };
+    },
+    cmp: function(a, b) {
+      return sign(add(a, neg(b)));
+    },
+    sign: sign,
+    neg: neg
+  };
+}
+
+/**
+ * @private
+ * Creates the integer functions, using BigInt if supported.
+ *
+ * @param {boolean} useBigInt - Whether to use native BigInt values
+ * @returns {Object} The integer functions
+ */
+function createMath(useBigInt) {
+  var math = useBigInt ? createBigIntMath() : createStringMath();
+  var fromString = math.fromString;
+
+  math.usesBigInt = useBigInt;
+  math.isBigInt = isBigInt;
+
+  /**
+   * Converts an integer string, a safe integer number or a BigInt to an integer, undefined if the value is
+   * not an integer.
+   */
+  math.from = function(value) {
+    if (isBigInt(value)) {
+      return fromString(value.toString());
+    }
+    if (typeof value === 'number') {
+      return Number.isSafeInteger(value) ? math.fromNumber(value) : undefined;
+    }
+    return (typeof value === 'string' && integerRE.test(value)) ? fromString(value.replace(/^\+/, '')) : undefined;
+  };
+
+  math.abs = function(a) {
+    return math.sign(a) < 0 ? math.neg(a) : a;
+  };
+
+  math.pow10 = function(n) {
+    return fromString('1' + new Array(n + 1).join('0'));
+  };
+
+  return math;
+}
+
+var Integer = createMath(typeof BigInt === 'function');
+Integer.create = createMath;
+
+module.exports = Integer;
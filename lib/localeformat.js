@@ -0,0 +1,120 @@
+'use strict';
+
+var owsCommon = require('@owstack/ows-common');
+var lodash = owsCommon.deps.lodash;
+var errors = require('./errors');
+
+/**
+ * @private
+ * The number formats of locales, derived from the Intl.NumberFormat output of the locale, for formatting and
+ * parsing amounts that can't be passed to Intl.NumberFormat without losing precision. A format has the
+ * following fields.
+ *
+ *   locale - The resolved locale, undefined for the format used without locale.
+ *   group - The grouping (thousands) separator.
+ *   decimal - The decimal separator.
+ *   digits - The digits 0 to 9 of the numbering system of the locale.
+ *   minus - The parts (see Intl.NumberFormat#formatToParts) preceding the digits of a negative number.
+ *   grouping - The size of the group of the last integer digits (primary), of the other groups (secondary),
+ *     and the minimum number of digits before the primary group for grouping to apply (e.g., 2 for 'es').
+ *   symbol - The position ('prefix' or 'suffix') of a currency symbol and the separator between the symbol
+ *     and the number.
+ */
+
+/**
+ * @private
+ * The format used without locale, that of Unit#toString before locales were supported.
+ */
+var defaultFormat = {
+  locale: undefined,
+  group: ',',
+  decimal: '.',
+  digits: '0123456789'.split(''),
+  minus: [{type: 'minusSign', value: '-'}],
+  grouping: {
+    primary: 3,
+    secondary: 3,
+    minimum: 1
+  },
+  symbol: {
+    position: 'suffix',
+    separator: ' '
+  }
+};
+
+var formats = {};
+
+function partValue(parts, type) {
+  var part = lodash.find(parts, {type: type});
+  return part && part.value;
+}
+
+/**
+ * @private
+ * Returns the grouping of a locale from the integer parts of a large number.
+ */
+function getGrouping(number) {
+  var integers = lodash.map(lodash.filter(number.formatToParts(1234567890), {type: 'integer'}), 'value');
+  var primary = lodash.last(integers).length;
+  return {
+    primary: primary,
+    secondary: integers.length > 2 ? integers[integers.length - 2].length : primary,
+    minimum: lodash.some(number.formatToParts(1234), {type: 'group'}) ? 1 : 2
+  };
+}
+
+/**
+ * @private
+ * Returns the position of a currency symbol and the separator between the symbol and the number.
+ */
+function getSymbolPlacement(locale) {
+  var parts = new Intl.NumberFormat(locale, {style: 'currency', currency: 'USD'}).formatToParts(1);
+  var currency = lodash.findIndex(parts, {type: 'currency'});
+  var integer = lodash.findIndex(parts, {type: 'integer'});
+  var between = parts.slice(Math.min(currency, integer) + 1, Math.max(currency, integer));
+  return {
+    position: currency < integer ? 'prefix' : 'suffix',
+    separator: lodash.map(lodash.filter(between, {type: 'literal'}), 'value').join('')
+  };
+}
+
+function createFormat(locale) {
+  var number = new Intl.NumberFormat(locale, {maximumFractionDigits: 1});
+  return {
+    locale: number.resolvedOptions().locale,
+    group: partValue(number.formatToParts(1234567890), 'group') || '',
+    decimal: partValue(number.formatToParts(1.5), 'decimal'),
+    digits: lodash.map(lodash.range(10), function(digit) {
+      return partValue(number.formatToParts(digit), 'integer');
+    }),
+    minus: lodash.takeWhile(number.formatToParts(-1), function(part) {
+      return part.type !== 'integer';
+    }),
+    grouping: getGrouping(number),
+    symbol: getSymbolPlacement(locale)
+  };
+}
+
+/**
+ * @private
+ * Returns the number format of a locale (a BCP 47 language tag or an array of tags), or the default format
+ * if the locale is not set.
+ *
+ * @throws {InvalidArgument} The locale is not a valid language tag
+ */
+function getLocaleFormat(locale) {
+  if (!locale) {
+    return defaultFormat;
+  }
+  var key = String(locale);
+  if (!formats[key]) {
+    try {
+      formats[key] = createFormat(locale);
+    } catch (e) {
+      throw new errors.InvalidArgument('locale', e.message);
+    }
+  }
+  return formats[key];
+}
+
+module.exports = getLocaleFormat;
@@ -4,14 +4,15 @@ var Bip44 = require('bip44-constants');
 Bip44['ROOT'] = 0x8fffffff; // Not applicable; arbitrary value for this implementation
 Bip44['TESTNET'] = 0x80000001; // Not defined in Bip44 list
 
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var owsCommon = require('@owstack/ows-common');
 var Base58 = owsCommon.encoding.Base58;
+var Base58Check = owsCommon.encoding.Base58Check;
 var BufferUtil = owsCommon.buffer;
 var JSUtil = owsCommon.util.js;
 var lodash = owsCommon.deps.lodash;
-
-var networks = [];
-var networkMap = {};
+var errors = require('./errors');
 
 /**
  * Implementing currencies define networks as follows.
@@ -28,7 +29,8 @@ var networkMap = {};
  *   prefix: {
  *     pubkeyhash: 0x30,
  *     privatekey: 0xb0,
- *     scripthash: 0x32
+ *     scripthash: 0x32,
+ *     bech32: 'ltc'
  *   },
  *   version: { // see SLIP132
  *     xpubkey: {
@@ -38,6 +40,18 @@ var networkMap = {};
  *     xprivkey: {
  *       bytes: 0x019d9cfe,
  *       text: 'xprv'
+ *     },
+ *     slip132: {
+ *       'p2sh-p2wpkh': {
+ *         xpubkey: {
+ *           bytes: 0x01b26ef6,
+ *           text: 'Mtub'
+ *         },
+ *         xprivkey: {
+ *           bytes: 0x01b26792,
+ *           text: 'Mtpv'
+ *         }
+ *       }
  *     }
  *   },
  *   networkMagic: 0xfbc0b6db,
@@ -49,11 +63,25 @@ var networkMap = {};
  *     'dnsseed.koin-project.com',
  *     'seed-a.litecoin.loshan.co.uk',
  *     'dnsseed.thrasher.io'
+ *   ],
+ *   genesisHash: '12a765e31ffd4059bada1e25190f6e98c99d9714d334efa41a195a7e7e04bfe2',
+ *   activationHeights: {
+ *     bip34: 710000,
+ *     bip65: 918684,
+ *     bip66: 811879,
+ *     segwit: 1201536
+ *   },
+ *   blockTime: 150,
+ *   maxMoney: 8400000000000000,
+ *   dustThreshold: 100000,
+ *   defaultFeeRate: 100000,
+ *   checkpoints: [
+ *     {height: 1500, hash: '841a2965955dd288cfa707a755d05a54e45f8bd476835ec9af4402a2b59a2967'}
  *   ]
  * }
  *
  * currency
- *   The currency for all associated networks.
+ *   The currency for all associated networks (optional).
  *
  * description
  *   The descriptive name of the network.
@@ -65,10 +93,10 @@ var networkMap = {};
  *   The SLIP44 'coin' assignment for the BIP44 derivation path.
  *
  * protocol
- *   The network protocol, e.g., for Bitcoin, defined by BIP21.
+ *   The network protocol, e.g., for Bitcoin, defined by BIP21 (optional).
  *
  * alias
- *   The common name for the network within its own scope, 'livenet' or 'testnet'.
+ *   The common name for the network within its own scope, 'livenet', 'testnet' or 'regtest' (optional).
  *
  * prefix
  *   Address prefixes defined as follows.
@@ -76,12 +104,18 @@ var networkMap = {};
  *   pubkeyhash - The publickey hash prefix.
  *   privatekey - The privatekey prefix.
  *   scripthash - The scripthash prefix.
+ *   bech32 - The segwit (bech32 and bech32m) address human-readable part, e.g., 'bc' (optional).
+ *   cashaddr - The CashAddr address prefix, e.g., 'bitcoincash' (optional).
  *
  * version
  *   The HD key prefix bytes defined as follows (see BIP32, SLIP132).
  *
- *   xpubkey - The extended public key version bytes and text string.
- *   xprivkey - The extended private key version bytes and text string.
+ *   xpubkey - The extended public key version bytes and text string, or only the version bytes.
+ *   xprivkey - The extended private key version bytes and text string, or only the version bytes.
+ *   slip132 - The extended key versions of other script types (optional), keyed by script type. Each script
+ *     type has xpubkey and xprivkey versions as above. The script types are 'p2sh-p2wpkh' (e.g., ypub),
+ *     'p2wpkh' (e.g., zpub), 'p2sh-p2wsh' (e.g., Ypub) and 'p2wsh' (e.g., Zpub); the xpubkey and xprivkey
+ *     versions above are those of the 'p2pkh' script type.
  *
  * networkMagic
  *   The network magic number.
@@ -92,43 +126,77 @@ var networkMap = {};
  * dnsSeeds
  *   An array of dns seeds.
  *
+ * genesisHash
+ *   The hash of the genesis block, as a lowercase hex string in the byte order it is displayed (optional).
+ *
+ * activationHeights
+ *   The block heights at which soft forks activated (optional), defined as follows. Each height is optional.
+ *
+ *   bip34 - Block height in coinbase.
+ *   bip65 - OP_CHECKLOCKTIMEVERIFY.
+ *   bip66 - Strict DER signatures.
+ *   segwit - Segregated witness (BIP141, BIP143, BIP147).
+ *
+ * blockTime
+ *   The target time between blocks, in seconds (optional).
+ *
+ * maxMoney
+ *   The maximum money supply, in the smallest unit of the currency, e.g., satoshis (optional).
+ *
+ * dustThreshold
+ *   The smallest output amount relayed by nodes, in the smallest unit of the currency (optional).
+ *
+ * defaultFeeRate
+ *   The default transaction fee rate, in the smallest unit of the currency per kilobyte (optional).
+ *
+ * checkpoints
+ *   An array of known blocks, each as {height, hash}, in increasing height order (optional).
+ *
  * indexBy
  *   An array of network properties to map for looking up a network in this implementation.
+ *
+ * regtest
+ *   The regtest variant of a testnet (optional, only for networks with alias 'testnet'). The regtest
+ *   network is added along with the testnet and has the testnet's values except for the following.
+ *
+ *   name - The internal name for the regtest network, defaults to the testnet name + '-regtest'.
+ *   description - The descriptive name, defaults to the testnet description + ' Regtest'.
+ *   prefix - Address prefixes overriding the testnet prefixes, e.g., {bech32: 'bcrt'}.
+ *   networkMagic - The network magic number (required).
+ *   port - The network port (required).
+ *   genesisHash - The hash of the regtest genesis block (optional).
+ *   activationHeights - The regtest soft fork activation heights (optional).
+ *
+ *   The regtest network has no dns seeds or checkpoints, and only the genesis hash and activation heights
+ *   declared here.
  */
 
 /**
- * Add network objects shared across multiple coins or that have no network association (e.g., root network for master key).
+ * @private
+ * The fields of a network definition, in the order they are written by Network#toJSON.
  */
-addNetworks([{
-  currency: 'NA',
-	description: 'Root',
-	name: 'root',
-  protocol: 'root',
-	coinIndex: Bip44['ROOT'] ^ 0x80000000,
-	prefix: {},
-	alias: 'root',
-  version: { // see SLIP132 (no 'root network' version strings registered)
-    xpubkey: {
-      bytes: 0x040bf2a6,
-      text: 'rpub'
-    },
-    xprivkey: {
-      bytes: 0x040bee6c,
-      text: 'rprv'
-    }
-  },
-  networkMagic: 0,
-	port: 0,
-	dnsSeeds: [
-    'seed.bitcoin.sipa.be',
-    'dnsseed.bluematt.me',
-    'dnsseed.bitcoin.dashjr.org',
-    'seed.bitcoinstats.com',
-    'seed.bitnodes.io',
-    'bitseed.xf2.org'
-	],
-	indexBy: getIndexBy()
-}]);
+var jsonFields = [
+  'currency',
+  'description',
+  'name',
+  'alias',
+  'coinIndex',
+  'protocol',
+  'prefix',
+  'version',
+  'networkMagic',
+  'port',
+  'dnsSeeds',
+  'genesisHash',
+  'activationHeights',
+  'blockTime',
+  'maxMoney',
+  'dustThreshold',
+  'defaultFeeRate',
+  'checkpoints',
+  'indexBy',
+  'regtest'
+];
 
 /**
  * A network is merely a map containing values that correspond to version
@@ -142,219 +210,538 @@ Network.prototype.toString = function toString() {
 };
 
 /**
- * @function
- * @member Networks#get
- * Retrieves the network associated with a magic number or string.
- * @param {string|number|Network} arg
- * @param {string|Array} keys - if set, only check if the keys associated with this name match
- * @param {string} preferredCurrency - if set, prefer a network with this id over alternatives (useful for
- * discrimination among networks that share the same attribute values)
- * @return Network
+ * Returns whether this is the regtest variant of a testnet.
+ *
+ * @returns {boolean}
  */
-function get(arg, keys, preferredCurrency) {
-  if (~networks.indexOf(arg)) {
-    return arg;
-  }
+Network.prototype.isRegtest = function isRegtest() {
+  return this.alias === 'regtest';
+};
 
-  if (keys) {
-    var index;
+/**
+ * Returns whether this is a test network, i.e., a testnet or the regtest variant of a testnet.
+ *
+ * @returns {boolean}
+ */
+Network.prototype.isTestnet = function isTestnet() {
+  return this.alias === 'testnet' || this.isRegtest();
+};
 
-    if (!lodash.isArray(keys)) {
-      keys = [keys];
-    }
+/**
+ * Returns whether this is the livenet network of its currency.
+ *
+ * @returns {boolean}
+ */
+Network.prototype.isLivenet = function isLivenet() {
+  return this.alias === 'livenet';
+};
 
-    function containsArg(key) {
-      if (preferredCurrency) {
-        // A specific network currency is defined (helps to disambiguate networks with same attribute values).
-        // Consider a match if the indexed network is preferred.
-        var p = (lodash.get(networks[index], 'currency') == preferredCurrency);
-        return (lodash.get(networks[index], key) === arg) && p;
+/**
+ * Returns whether this network has the same definition as another network, which may be a different object
+ * (e.g., reloaded from JSON or added to another registry). The networks are compared using their JSON
+ * definitions, not including the indexBy keys.
+ *
+ * @param {Network} other
+ * @returns {boolean}
+ */
+Network.prototype.equals = function equals(other) {
+  if (this === other) {
+    return true;
+  }
+  if (!(other instanceof Network)) {
+    return false;
+  }
+  return lodash.isEqual(lodash.omit(this.toJSON(), 'indexBy'), lodash.omit(other.toJSON(), 'indexBy'));
+};
 
-      } else {
-        return lodash.get(networks[index], key) === arg;        
-      }
-    };
+/**
+ * Returns the other networks with the same currency in the registry this network was added to, in the order
+ * they were added.
+ *
+ * @returns {Array} The sibling networks
+ */
+Network.prototype.siblings = function siblings() {
+  var self = this;
+  return lodash.filter(this._registry.getFiltered({currency: this.currency}), function(network) {
+    return network !== self;
+  });
+};
 
-    function findNetwork() {
-	    for (index in networks) {
-	      if (lodash.some(keys, containsArg)) {
-	        return networks[index];
-	      }
-	    }
-    };
+/**
+ * Returns the livenet network of this network's currency, which is this network if it is the livenet.
+ *
+ * @returns {Network} The livenet network, undefined if the currency has none
+ */
+Network.prototype.livenet = function livenet() {
+  return lodash.find(this._registry.getFiltered({currency: this.currency}), {alias: 'livenet'});
+};
 
-    var foundNetwork = findNetwork();
+/**
+ * Returns the testnet network of this network's currency, which is this network if it is the testnet.
+ *
+ * @returns {Network} The testnet network, undefined if the currency has none
+ */
+Network.prototype.testnet = function testnet() {
+  return lodash.find(this._registry.getFiltered({currency: this.currency}), {alias: 'testnet'});
+};
 
-    // If no network found and there is a specified preferred currency then remove it and try again. Return a
-    // non-preferred network rather than no network.
-    if (!foundNetwork && preferredCurrency) {
-      preferredCurrency == undefined;
-      foundNetwork = findNetwork();
+/**
+ * Returns the network definition in the JSON format read by Networks#fromJSON. The network magic is
+ * a hex string, all other values are as defined when the network was added.
+ *
+ * @returns {Object} A network definition
+ */
+Network.prototype.toJSON =
+Network.prototype.toObject = function toObject() {
+  var self = this;
+  var json = {};
+  lodash.forEach(jsonFields, function(field) {
+    if (!lodash.isUndefined(self[field])) {
+      json[field] = lodash.cloneDeep(self[field]);
     }
+  });
 
-    return foundNetwork;
+  if (this.networkMagic) {
+    json.networkMagic = BufferUtil.bufferToHex(this.networkMagic);
   }
+  if (this.regtest) {
+    json.regtest.networkMagic = BufferUtil.bufferToHex(BufferUtil.integerAsBuffer(this.regtest.networkMagic));
+  }
+  return json;
+};
 
-  // No keys.
-  if (preferredCurrency && lodash.isString(arg)) {
-    // If there is a network preferred currency then attempt to match the arg (search criteria) and
-    // the desired currency.
-    return lodash.find(networks, function(n) {
-      // Does this network meet the callers criteria?
-      var match = lodash.some(getIndexBy(), function(attr) {
-        return n[attr] == arg;
-      });
+/**
+ * @private
+ * The optional chain parameters of a network definition, see Networks#add.
+ */
+var chainParameterFields = [
+  'genesisHash',
+  'activationHeights',
+  'blockTime',
+  'maxMoney',
+  'dustThreshold',
+  'defaultFeeRate',
+  'checkpoints'
+];
 
-      if (match && n.currency == preferredCurrency) {
-        return n;
-      }
+/**
+ * @private
+ * The soft forks a network may declare the activation height of in 'activationHeights'.
+ */
+var activationKeys = ['bip34', 'bip65', 'bip66', 'segwit'];
+
+/**
+ * @private
+ * The SLIP132 script types a network may declare extended key versions for in 'version.slip132'.
+ */
+var slip132ScriptTypes = ['p2sh-p2wpkh', 'p2wpkh', 'p2sh-p2wsh', 'p2wsh'];
+
+/**
+ * @private
+ * Returns the location of each extended key version in a network, as a list of {scriptType, keyType, path}.
+ */
+function getVersionPaths() {
+  var paths = [];
+  lodash.forEach(['p2pkh'].concat(slip132ScriptTypes), function(scriptType) {
+    var base = (scriptType === 'p2pkh') ? 'version' : 'version.slip132.' + scriptType;
+    lodash.forEach(['xpubkey', 'xprivkey'], function(keyType) {
+      paths.push({
+        scriptType: scriptType,
+        keyType: keyType,
+        path: base + '.' + keyType
+      });
     });
+  });
+  return paths;
+}
 
-  } else {
+var versionPaths = getVersionPaths();
+
+/**
+ * @private
+ * Returns the version bytes of a base58 encoded extended key, undefined if the string is not base58 encoded.
+ */
+function decodeVersion(xkey) {
+  if (!lodash.isString(xkey) || !Base58.validCharacters(xkey)) {
+    return undefined;
+  }
 
-    // No preferred currency, just return a mapped value.
-    if (networkMap[arg] != undefined) {
-      return networkMap[arg];
+  var buffer = Base58.decode(xkey);
+  return (buffer.length >= 4) ? buffer.readUInt32BE(0) : undefined;
+}
 
-    } else if (lodash.isString(arg) && Base58.validCharacters(arg)) {
-      // Try to decode from an extended private or public key.
-      var version = BufferUtil.integerFromBuffer(Base58.decode(arg));
-      return networkMap[version];
-    }
+/**
+ * @private
+ * The characters of the data part of bech32, bech32m and CashAddr addresses.
+ */
+var addressCharset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+/**
+ * @private
+ * Returns the prefix of a bech32 (or bech32m) or CashAddr address string as {key, value}, where key is the
+ * network prefix field the value is found in; undefined if the string is not formatted as such an address.
+ * The checksum is not verified.
+ */
+function parseAddressPrefix(str) {
+  if (!lodash.isString(str) || (str !== str.toLowerCase() && str !== str.toUpperCase())) {
+    return undefined;
   }
-};
+
+  str = str.toLowerCase();
+  var data = '[' + addressCharset + ']{6,}$';
+  var bech32 = new RegExp('^([\\x21-\\x7e]{1,83})1' + data).exec(str);
+  if (bech32) {
+    return {key: 'prefix.bech32', value: bech32[1]};
+  }
+
+  var cashaddr = new RegExp('^([a-z0-9]+):' + data).exec(str);
+  if (cashaddr) {
+    return {key: 'prefix.cashaddr', value: cashaddr[1]};
+  }
+}
 
 /**
- * @function
- * @member Networks#getFiltered
- * Will return an array of networks matching the filter. This function
- * returns references to the networks, not copies.
- *
- * Example, return all networks with currency set to 'BTC'.
- * var filtered = Networks.getFiltered({currency: 'BTC'});
+ * @private
+ * The generator of the bech32 checksum and the checksum constants of bech32 (BIP173) and bech32m (BIP350).
+ */
+var bech32Generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+var bech32Constants = [1, 0x2bc830a3];
+
+function bech32Polymod(values) {
+  var checksum = 1;
+  lodash.forEach(values, function(value) {
+    var top = checksum >> 25;
+    checksum = (checksum & 0x1ffffff) << 5 ^ value;
+    lodash.forEach(bech32Generator, function(generator, i) {
+      if ((top >> i) & 1) {
+        checksum ^= generator;
+      }
+    });
+  });
+  return checksum;
+}
+
+/**
+ * @private
+ * Returns whether a bech32 or bech32m string has a valid checksum.
  */
-function getFiltered(filter) {
-  if (!filter) {
-    return networks;
+function isValidBech32(str) {
+  str = str.toLowerCase();
+  var separator = str.lastIndexOf('1');
+  var hrp = str.slice(0, separator);
+  var values = lodash.map(hrp, function(c) {
+    return c.charCodeAt(0) >> 5;
+  }).concat(0, lodash.map(hrp, function(c) {
+    return c.charCodeAt(0) & 31;
+  }), lodash.map(str.slice(separator + 1), function(c) {
+    return addressCharset.indexOf(c);
+  }));
+  return str.length <= 90 && bech32Constants.indexOf(bech32Polymod(values)) >= 0;
+}
+
+/**
+ * @private
+ * Classifies an encoded string by its format, returning the value identifying its network and the network
+ * keys the value may be found in, each with the kind of string it identifies; undefined if the string is
+ * not a base58check encoded address, WIF private key or extended key, or a bech32 or bech32m address.
+ */
+function classify(str) {
+  var prefix = parseAddressPrefix(str);
+  if (prefix && prefix.key === 'prefix.bech32') {
+    return isValidBech32(str) ? {value: prefix.value, keys: [{key: prefix.key, kind: 'bech32'}]} : undefined;
   }
 
-  var result = [];
-  for (var i = 0; i < networks.length; i++) {
-    if (lodash.isMatch(networks[i], filter)) {
-      result.push(networks[i]);
-    }
+  var data;
+  try {
+    data = Base58Check.decode(str);
+  } catch (e) {
+    return undefined;
   }
 
-  return result;
-};
+  if (data.length === 21) {
+    return {value: data[0], keys: [
+      {key: 'prefix.pubkeyhash', kind: 'pubkeyhash'},
+      {key: 'prefix.scripthash', kind: 'scripthash'}
+    ]};
+  } else if (data.length === 33 || (data.length === 34 && data[33] === 0x01)) {
+    return {value: data[0], keys: [{key: 'prefix.privatekey', kind: 'privatekey'}]};
+  } else if (data.length === 78) {
+    return {value: data.readUInt32BE(0), keys: lodash.map(versionPaths, function(version) {
+      return {key: version.path + '.bytes', kind: version.keyType};
+    })};
+  }
+}
 
 /**
- * @function
- * @member Networks#add
- * Will add one or more networks. See above for attribute descriptions.
+ * @private
+ * The version of the format written by Networks#exportAll.
+ */
+var exportFormat = 1;
 
- * @param {Object} data
- * @param {string} data.currency
- * @param {string} data.description
- * @param {string} data.name
- * @param {string} data.alias
- * @param {Number} data.coinIndex
- * @param {string} data.protocol
- * @param {Number} data.prefix.pubkeyhash
- * @param {Number} data.prefix.privatekey
- * @param {Number} data.prefix.scripthash
- * @param {Number} data.version.xpubkey.bytes
- * @param {Number} data.version.xpubkey.text
- * @param {Number} data.version.xprivkey.bytes
- * @param {Number} data.version.xprivkey.text
- * @param {Number} data.networkMagic
- * @param {Number} data.port
- * @param {Array} data.dnsSeeds
- * @param {Array} data.indexBy (optional)
- * @return Network
+/**
+ * @private
+ * Converts the network magic at the specified field of a definition from a hex string to an integer.
  */
-function addNetworks(data) {
-	if (!lodash.isArray(data)) {
-		data = [data];
-	}
+function magicFromJSON(definition, field) {
+  var magic = lodash.get(definition, field);
+  if (!lodash.isString(magic)) {
+    return;
+  }
+
+  if (!/^[0-9a-fA-F]{8}$/.test(magic)) {
+    var error = new errors.Network.InvalidField(field, definition.name, 'a hex string of 4 bytes');
+    error.field = field;
+    error.network = definition.name;
+    throw error;
+  }
+  lodash.set(definition, field, parseInt(magic, 16));
+}
+
+/**
+ * @private
+ * Converts a network definition in JSON format (see Network#toJSON) to a definition accepted by
+ * Networks#add.
+ */
+function definitionFromJSON(json) {
+  if (lodash.isString(json)) {
+    json = JSON.parse(json);
+  }
 
-	lodash.forEach(data, function(n) {
-	  var network = new Network();
+  var definition = lodash.cloneDeep(json);
+  magicFromJSON(definition, 'networkMagic');
+  magicFromJSON(definition, 'regtest.networkMagic');
+  return definition;
+}
 
-	  JSUtil.defineImmutable(network, {
-      currency: n.currency,
-      description: n.description,
-	    name: n.name,
-	    coinIndex: n.coinIndex,
-	    protocol: n.protocol,
-	    alias: n.alias,
-	    prefix: n.prefix,
-			version: n.version
-	  });
+function isNonEmptyString(value) {
+  return lodash.isString(value) && value.length > 0;
+}
 
-	  if (n.networkMagic) {
-	    JSUtil.defineImmutable(network, {
-	      networkMagic: BufferUtil.integerAsBuffer(n.networkMagic)
-	    });
-	  }
+function isIntegerInRange(value, max) {
+  return JSUtil.isNaturalNumber(value) && value <= max;
+}
 
-	  if (n.port) {
-	    JSUtil.defineImmutable(network, {
-	      port: n.port
-	    });
-	  }
+function isByte(value) {
+  return isIntegerInRange(value, 0xff);
+}
 
-	  if (n.dnsSeeds) {
-	    JSUtil.defineImmutable(network, {
-	      dnsSeeds: n.dnsSeeds
-	    });
-	  }
+function isPort(value) {
+  return isIntegerInRange(value, 0xffff);
+}
 
-	  networks.push(network);
+function isUInt32(value) {
+  return isIntegerInRange(value, 0xffffffff);
+}
 
-	  n.indexBy = n.indexBy || getIndexBy();
-		indexNetworkBy(network, n.indexBy);
-	});
-};
+function isSafeInteger(value) {
+  return isIntegerInRange(value, 9007199254740991);
+}
+
+function isPositiveInteger(value) {
+  return isSafeInteger(value) && value > 0;
+}
+
+function isBlockHash(value) {
+  return lodash.isString(value) && /^[0-9a-f]{64}$/.test(value);
+}
+
+function isActivationMap(value) {
+  return lodash.isPlainObject(value) && lodash.every(lodash.keys(value), function(key) {
+    return activationKeys.indexOf(key) >= 0;
+  });
+}
+
+function isCheckpointList(value) {
+  return lodash.isArray(value) && lodash.every(value, function(checkpoint, i) {
+    return lodash.isPlainObject(checkpoint) &&
+      isSafeInteger(checkpoint.height) &&
+      isBlockHash(checkpoint.hash) &&
+      (i === 0 || checkpoint.height > value[i - 1].height);
+  });
+}
+
+function isStringArray(value) {
+  return lodash.isArray(value) && lodash.every(value, lodash.isString);
+}
+
+function isBech32Prefix(value) {
+  return lodash.isString(value) && /^[\x21-\x7e]{1,83}$/.test(value) && value === value.toLowerCase();
+}
+
+function isCashAddrPrefix(value) {
+  return lodash.isString(value) && /^[a-z0-9]+$/.test(value);
+}
+
+function isSlip132Map(value) {
+  return lodash.isPlainObject(value) && lodash.every(lodash.keys(value), function(scriptType) {
+    return slip132ScriptTypes.indexOf(scriptType) >= 0;
+  });
+}
+
+/**
+ * @private
+ * Returns the validation rules of the SLIP132 extended key versions, which are only checked for the script
+ * types a definition declares.
+ */
+function getSlip132Schema() {
+  var rules = [];
+  lodash.forEach(lodash.reject(versionPaths, {scriptType: 'p2pkh'}), function(version) {
+    rules.push(
+      {field: version.path, required: true, test: lodash.isPlainObject, expected: 'an object'},
+      {field: version.path + '.bytes', required: true, test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+      {field: version.path + '.text', required: true, test: lodash.isString, expected: 'a string'}
+    );
+  });
+  return rules;
+}
+
+/**
+ * @private
+ * Returns the validation rules of the soft fork activation heights declared at the specified field.
+ */
+function getActivationSchema(field) {
+  return [
+    {field: field, test: isActivationMap, expected: 'an object keyed by soft fork (' + activationKeys.join(', ') + ')'}
+  ].concat(lodash.map(activationKeys, function(key) {
+    return {field: field + '.' + key, test: isSafeInteger, expected: 'a block height'};
+  }));
+}
+
+/**
+ * @private
+ * Returns whether an extended key version is an object with the version bytes and text, or only the version
+ * bytes as definitions without SLIP132 version strings declare them.
+ */
+function isKeyVersion(value) {
+  return lodash.isPlainObject(value) || isUInt32(value);
+}
+
+function isRegtestOfTestnet(value, data) {
+  return lodash.isPlainObject(value) && data.alias === 'testnet';
+}
+
+/**
+ * @private
+ * Returns whether the object containing a (possibly nested) field exists.
+ */
+function hasParent(data, field) {
+  var parent = field.split('.').slice(0, -1).join('.');
+  return !parent || lodash.isPlainObject(lodash.get(data, parent));
+}
+
+/**
+ * Validation rules for each field of a network definition. Fields not marked as required are only
+ * checked when present.
+ */
+var definitionSchema = [
+  {field: 'currency', test: isNonEmptyString, expected: 'a non-empty string'},
+  {field: 'description', test: lodash.isString, expected: 'a string'},
+  {field: 'name', required: true, test: isNonEmptyString, expected: 'a non-empty string'},
+  {field: 'alias', test: isNonEmptyString, expected: 'a non-empty string'},
+  {field: 'coinIndex', required: true, test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+  {field: 'protocol', test: isNonEmptyString, expected: 'a non-empty string'},
+  {field: 'prefix', required: true, test: lodash.isPlainObject, expected: 'an object'},
+  {field: 'prefix.pubkeyhash', test: isByte, expected: 'an integer between 0 and 255'},
+  {field: 'prefix.privatekey', test: isByte, expected: 'an integer between 0 and 255'},
+  {field: 'prefix.scripthash', test: isByte, expected: 'an integer between 0 and 255'},
+  {field: 'prefix.bech32', test: isBech32Prefix, expected: 'a lowercase string of 1 to 83 characters'},
+  {field: 'prefix.cashaddr', test: isCashAddrPrefix, expected: 'a lowercase alphanumeric string'},
+  {field: 'version', required: true, test: lodash.isPlainObject, expected: 'an object'},
+  {field: 'version.xpubkey', required: true, test: isKeyVersion, expected: 'an object or an integer between 0 and ' +
+    '0xffffffff'},
+  {field: 'version.xpubkey.bytes', required: true, test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+  {field: 'version.xpubkey.text', required: true, test: lodash.isString, expected: 'a string'},
+  {field: 'version.xprivkey', required: true, test: isKeyVersion, expected: 'an object or an integer between 0 and ' +
+    '0xffffffff'},
+  {field: 'version.xprivkey.bytes', required: true, test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+  {field: 'version.xprivkey.text', required: true, test: lodash.isString, expected: 'a string'},
+  {field: 'version.slip132', test: isSlip132Map, expected: 'an object keyed by script type (' +
+    slip132ScriptTypes.join(', ') + ')'}
+].concat(getSlip132Schema(), [
+  {field: 'networkMagic', test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+  {field: 'port', test: isPort, expected: 'an integer between 0 and 65535'},
+  {field: 'dnsSeeds', test: isStringArray, expected: 'an array of strings'},
+  {field: 'genesisHash', test: isBlockHash, expected: 'a lowercase hex string of 32 bytes'}
+], getActivationSchema('activationHeights'), [
+  {field: 'blockTime', test: isPositiveInteger, expected: 'a positive integer'},
+  {field: 'maxMoney', test: isSafeInteger, expected: 'a non-negative safe integer'},
+  {field: 'dustThreshold', test: isSafeInteger, expected: 'a non-negative safe integer'},
+  {field: 'defaultFeeRate', test: isSafeInteger, expected: 'a non-negative safe integer'},
+  {field: 'checkpoints', test: isCheckpointList, expected: 'an array of {height, hash} in increasing height order'},
+  {field: 'indexBy', test: isStringArray, expected: 'an array of strings'},
+  {field: 'regtest', test: isRegtestOfTestnet, expected: 'an object, on a network with alias \'testnet\''},
+  {field: 'regtest.name', test: isNonEmptyString, expected: 'a non-empty string'},
+  {field: 'regtest.description', test: lodash.isString, expected: 'a string'},
+  {field: 'regtest.prefix', test: lodash.isPlainObject, expected: 'an object'},
+  {field: 'regtest.prefix.bech32', test: isBech32Prefix, expected: 'a lowercase string of 1 to 83 characters'},
+  {field: 'regtest.prefix.cashaddr', test: isCashAddrPrefix, expected: 'a lowercase alphanumeric string'},
+  {field: 'regtest.networkMagic', required: true, test: isUInt32, expected: 'an integer between 0 and 0xffffffff'},
+  {field: 'regtest.port', required: true, test: isPort, expected: 'an integer between 0 and 65535'},
+  {field: 'regtest.genesisHash', test: isBlockHash, expected: 'a lowercase hex string of 32 bytes'}
+], getActivationSchema('regtest.activationHeights'));
 
 /**
  * @function
- * @member Networks#remove
- * Will remove a custom network
- * @param {Network} network
+ * @member Networks#validate
+ * Checks a network definition against the schema described above without registering it. Fields of
+ * a parent that is missing or invalid are not checked.
+ *
+ * Example, report every problem in a definition loaded from configuration.
+ * var problems = Networks.validate(definition);
+ * problems.forEach(function(p) { console.log(p.message); });
+ *
+ * @param {Object} data - A network definition, see Networks#add
+ * @return {Array} A list of errors (empty when valid), each with the offending 'field' and 'network' name
  */
-function removeNetwork(network) {
-  for (var i = 0; i < networks.length; i++) {
-    if (networks[i] === network) {
-      networks.splice(i, 1);
-    }
+function validateNetwork(data) {
+  if (!lodash.isPlainObject(data)) {
+    return [new errors.Network.InvalidDefinition(data)];
   }
-  for (var key in networkMap) {
-    if (networkMap[key] === network) {
-      delete networkMap[key];
+
+  var networkName = isNonEmptyString(data.name) ? data.name : '(unnamed)';
+  var skipped = [];
+  var problems = [];
+
+  lodash.forEach(definitionSchema, function(rule) {
+    var isChildOfSkipped = lodash.some(skipped, function(parent) {
+      return rule.field.indexOf(parent + '.') === 0;
+    });
+    if (isChildOfSkipped) {
+      return;
+    }
+
+    var error;
+    var value = lodash.get(data, rule.field);
+    if (lodash.isUndefined(value)) {
+      if (rule.required && hasParent(data, rule.field)) {
+        error = new errors.Network.MissingField(rule.field, networkName);
+      }
+    } else if (!rule.test(value, data)) {
+      error = new errors.Network.InvalidField(rule.field, networkName, rule.expected);
     }
-  }
-  unindexNetworkBy(network, Object.keys(networkMap));
-};
+
+    if (error) {
+      error.field = rule.field;
+      error.network = networkName;
+      problems.push(error);
+      skipped.push(rule.field);
+    }
+  });
+
+  return problems;
+}
 
 /**
- * @function
- * @member Networks#isCommonPrivateKeyPrefix
- * Several networks share the same one byte private key prefix so it's not possible to discern the specific
- * network when this prefix is used. This 'livenet common' prefix and the testnet prefix is based on the bitcoin
- * standard WIF one byte prefix. In this case we cannot detect a network mismatch. Return false if prefix string
- * not recognized.
- * @param {number} byte - The byte value to test
- * @param {string} prefix - One of the valid prefixes
- */
-function isSharedPrefix(byte, prefix) {
-	switch (prefix) {		                  // livenet           testnet
-		case 'prefix.pubkeyHash': return (byte == 0x00) || (byte == 0x6f);
-		case 'prefix.privatekey': return (byte == 0x80) || (byte == 0xef);
-		case 'prefix.scripthash': return (byte == 0x05) || (byte == 0xc4);
-	};
-	return false;
-};
+ * @private
+ * The address and private key prefixes of a network, see Networks#getSharedPrefixes.
+ */
+var prefixKeys = [
+  'prefix.pubkeyhash',
+  'prefix.privatekey',
+  'prefix.scripthash',
+  'prefix.bech32',
+  'prefix.cashaddr'
+];
 
 function getIndexBy(minimal) {
 	var base = [
@@ -367,11 +754,16 @@ function getIndexBy(minimal) {
 		'prefix.pubkeyhash',
 		'prefix.privatekey',
 		'prefix.scripthash', 
+		'prefix.bech32',
+		'prefix.cashaddr',
 		'version.xpubkey.bytes',
 		'version.xpubkey.text',
 		'version.xprivkey.bytes',
-		'version.xprivkey.text'
-	];
+		'version.xprivkey.text',
+		'genesisHash'
+	].concat(lodash.flatMap(lodash.reject(versionPaths, {scriptType: 'p2pkh'}), function(version) {
+    return [version.path + '.bytes', version.path + '.text'];
+  }));
 
 	if (minimal) {
 		return base;
@@ -380,35 +772,1616 @@ function getIndexBy(minimal) {
 	}
 };
 
-function indexNetworkBy(network, keys) {
-  for(var i = 0; i <  keys.length; i++) {
-		var value = lodash.get(network, keys[i]);
-    if(!lodash.isUndefined(value) && !lodash.isObject(value)) {
-      networkMap[value] = network;
-    }
+/**
+ * @private
+ * The keys networks are indexed by unless their definition specifies indexBy, see Networks#indexAll.
+ */
+var indexAllKeys = getIndexBy();
+
+/**
+ * @private
+ * Creates a network object from a (validated) network definition, for the registry it is added to.
+ */
+function createNetwork(n, registry) {
+  var network = new Network();
+
+  // The registry is not enumerable so that it is not part of comparisons or serializations of the network.
+  Object.defineProperty(network, '_registry', {
+    value: registry
+  });
+
+  JSUtil.defineImmutable(network, {
+    currency: n.currency,
+    description: n.description,
+    name: n.name,
+    coinIndex: n.coinIndex,
+    protocol: n.protocol,
+    alias: n.alias,
+    prefix: n.prefix,
+    version: n.version,
+    indexBy: n.indexBy
+  });
+
+  if (n.networkMagic) {
+    JSUtil.defineImmutable(network, {
+      networkMagic: BufferUtil.integerAsBuffer(n.networkMagic)
+    });
   }
-};
 
-function unindexNetworkBy(network, values) {
-  for(var index = 0; index < values.length; index++) {
-    var value = values[index];
-    if(networkMap[value] === network) {
-      delete networkMap[value];
-    }
+  if (n.port) {
+    JSUtil.defineImmutable(network, {
+      port: n.port
+    });
   }
-};
+
+  if (n.dnsSeeds) {
+    JSUtil.defineImmutable(network, {
+      dnsSeeds: n.dnsSeeds
+    });
+  }
+
+  JSUtil.defineImmutable(network, lodash.omitBy(lodash.pick(n, chainParameterFields), lodash.isUndefined));
+
+  if (n.regtest) {
+    JSUtil.defineImmutable(network, {
+      regtest: n.regtest
+    });
+  }
+
+  return network;
+}
 
 /**
- * @namespace Networks
+ * @private
+ * Returns the definition of the regtest variant declared by a testnet definition. The regtest network
+ * has its own name, network magic and port, no dns seeds or checkpoints, only its own genesis hash and
+ * activation heights, and otherwise the values of its testnet.
  */
-module.exports = {
-  Bip44: Bip44,
-  add: addNetworks,
-  remove: removeNetwork,
-  get: get,
-  getFiltered: getFiltered,
-  isSharedPrefix: isSharedPrefix,
-  indexAll: getIndexBy(),
-  indexMinimal: getIndexBy(true),
-  defaultNetwork: get('root')
+function getRegtestDefinition(n) {
+  var omitted = ['regtest', 'dnsSeeds', 'genesisHash', 'activationHeights', 'checkpoints'];
+  var definition = lodash.cloneDeep(lodash.omit(n, omitted));
+  return lodash.extend(definition, {
+    name: n.regtest.name || n.name + '-regtest',
+    description: n.regtest.description || (n.description || n.name) + ' Regtest',
+    alias: 'regtest',
+    prefix: lodash.extend(definition.prefix, n.regtest.prefix),
+    networkMagic: n.regtest.networkMagic,
+    port: n.regtest.port,
+    dnsSeeds: [],
+    genesisHash: n.regtest.genesisHash,
+    activationHeights: lodash.cloneDeep(n.regtest.activationHeights)
+  });
+}
+
+/**
+ * @private
+ * The operators of a Networks#getFiltered filter, each testing a network property value against the operand.
+ */
+var filterOperators = {
+  $eq: function(value, operand) {
+    return lodash.isEqual(value, operand);
+  },
+  $ne: function(value, operand) {
+    return !lodash.isEqual(value, operand);
+  },
+  $in: function(value, operand) {
+    return lodash.some(operand, function(item) {
+      return lodash.isEqual(value, item);
+    });
+  },
+  $nin: function(value, operand) {
+    return !filterOperators.$in(value, operand);
+  },
+  $exists: function(value, operand) {
+    return lodash.isUndefined(value) !== Boolean(operand);
+  }
 };
+
+/**
+ * @private
+ * Returns whether a filter condition is an object of operators (e.g., {$in: [...]}).
+ */
+function isOperatorCondition(condition) {
+  var keys = lodash.keys(condition);
+  return lodash.isPlainObject(condition) && keys.length > 0 && lodash.every(keys, function(key) {
+    return key.charAt(0) === '$';
+  });
+}
+
+/**
+ * @private
+ * Returns whether a network matches a Networks#getFiltered filter.
+ */
+function matchesFilter(network, filter) {
+  if (lodash.isFunction(filter)) {
+    return !!filter(network);
+  }
+
+  return lodash.every(lodash.keys(filter), function(key) {
+    var condition = filter[key];
+    if (!isOperatorCondition(condition)) {
+      return lodash.isMatch(network, lodash.set({}, key, condition));
+    }
+
+    var value = lodash.get(network, key);
+    return lodash.every(lodash.keys(condition), function(operator) {
+      if (!filterOperators.hasOwnProperty(operator)) {
+        throw new errors.InvalidArgument('filter', 'unknown operator ' + operator);
+      }
+      return filterOperators[operator](value, condition[operator]);
+    });
+  });
+}
+
+/**
+ * @private
+ * Returns a copy of a registry state that shares the networks but none of the lists and maps holding them.
+ */
+function copyState(state) {
+  return {
+    networks: state.networks.slice(),
+    networkMap: lodash.mapValues(state.networkMap, function(mapped) {
+      return lodash.isArray(mapped) ? mapped.slice() : mapped;
+    }),
+    indexRecords: state.indexRecords.slice(),
+    indexClaims: lodash.mapValues(state.indexClaims, function(claims) {
+      return claims.slice();
+    }),
+    variants: lodash.map(state.variants, lodash.clone),
+    defaultNetwork: state.defaultNetwork,
+    currencyDefaults: lodash.clone(state.currencyDefaults)
+  };
+}
+
+/**
+ * @private
+ * The events emitted when a registry changes, see Networks#onChange.
+ */
+var changeEvents = ['added', 'removed', 'defaultChanged'];
+
+/**
+ * @private
+ * The valid values for the collision option of Networks#add.
+ */
+var collisionPolicies = ['throw', 'warn', 'keep-first', 'multi'];
+
+/**
+ * @private
+ * The keys whose values networks may share without colliding, e.g., the BIP21 protocol of a livenet and its
+ * testnet.
+ */
+var shareableKeys = ['protocol', 'coinIndex'];
+
+/**
+ * @private
+ * Returns the values of a network that are indexed by the specified keys, as a list of {key, value}.
+ */
+function getIndexedValues(network, keys) {
+  var result = [];
+  lodash.forEach(keys, function(key) {
+    var value = lodash.get(network, key);
+    if (!lodash.isUndefined(value) && !lodash.isObject(value)) {
+      result.push({
+        key: key,
+        value: value
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * @private
+ * Returns a human readable description of a collision.
+ */
+function describeCollision(collision) {
+  return collision.value + ' used by ' + lodash.map(collision.networks, function(n) {
+    return n.network.name + ' (' + n.key + ')';
+  }).join(', ');
+}
+
+/**
+ * @private
+ * Throws or emits 'collision' for the collisions of networks added to a registry, as required by the
+ * collision policy.
+ */
+function reportCollisions(registry, collisions, policy) {
+  if (collisions.length === 0) {
+    return;
+  }
+
+  var description = lodash.map(collisions, describeCollision).join('; ');
+  if (policy === 'throw') {
+    var error = new errors.Network.Collision(description);
+    error.collisions = collisions;
+    throw error;
+  } else if (policy === 'warn') {
+    registry.emit('collision', collisions);
+  }
+}
+
+/**
+ * @private
+ * Network objects shared across multiple coins or that have no network association (e.g., root network for
+ * master key). These are added to every registry.
+ */
+var sharedDefinitions = [{
+  currency: 'NA',
+	description: 'Root',
+	name: 'root',
+  protocol: 'root',
+	coinIndex: Bip44['ROOT'] ^ 0x80000000,
+	prefix: {},
+	alias: 'root',
+  version: { // see SLIP132 (no 'root network' version strings registered)
+    xpubkey: {
+      bytes: 0x040bf2a6,
+      text: 'rpub'
+    },
+    xprivkey: {
+      bytes: 0x040bee6c,
+      text: 'rprv'
+    }
+  },
+  networkMagic: 0,
+	port: 0,
+	dnsSeeds: [
+    'seed.bitcoin.sipa.be',
+    'dnsseed.bluematt.me',
+    'dnsseed.bitcoin.dashjr.org',
+    'seed.bitcoinstats.com',
+    'seed.bitnodes.io',
+    'bitseed.xf2.org'
+	],
+	indexBy: getIndexBy()
+}];
+
+/**
+ * @private
+ * Adds a network to (or removes it from) the lookup index of a key, see Networks#get.
+ */
+function addToKeyIndex(index, key, network) {
+  var value = lodash.get(network, key);
+  if (!lodash.isUndefined(value)) {
+    index[value] = (index.hasOwnProperty(value) ? index[value] : []).concat(network);
+  }
+}
+
+function removeFromKeyIndex(index, key, network) {
+  var value = lodash.get(network, key);
+  if (!lodash.isUndefined(value) && index.hasOwnProperty(value)) {
+    index[value] = lodash.without(index[value], network);
+    if (index[value].length === 0) {
+      delete index[value];
+    }
+  }
+}
+
+/**
+ * A network registry, holding a set of networks and their index. The Networks namespace is the default registry
+ * and Networks#createRegistry creates other registries. A registry is an EventEmitter, see Networks#onChange.
+ * @constructor
+ */
+function Registry() {
+  EventEmitter.call(this);
+  this._networks = [];
+  this._networkMap = {};
+  this._variants = [];
+  this._currencyDefaults = {};
+
+  // The values each network is indexed by, as a list of {network, values}, and the networks claiming each
+  // value in the order they were added, as lists of {network, policy}. The network a value maps to is
+  // recomputed from its claims when a network is removed.
+  this._indexRecords = [];
+  this._indexClaims = {};
+
+  // Lookup indexes of every network by the value of each key networks are looked up by (see Networks#get),
+  // as lists of networks in the order they were added. Unlike the index above these do not depend on the
+  // indexBy keys or the collision policy of the networks. The index of a key is built when the key is first
+  // looked up and kept up to date as networks are added and removed.
+  this._keyIndexes = {};
+  this._sequence = 0;
+
+  // The prefix values shared by several networks (see Networks#getSharedPrefixes), computed when first needed
+  // and cleared whenever networks are added or removed.
+  this._sharedPrefixes = undefined;
+
+  this.indexAll = getIndexBy();
+  this.indexMinimal = getIndexBy(true);
+
+  this.add(lodash.cloneDeep(sharedDefinitions));
+  this._defaultNetwork = this.get('root');
+}
+
+util.inherits(Registry, EventEmitter);
+
+/**
+ * @function
+ * @member Networks#get
+ * Retrieves the network associated with a magic number or string.
+ *
+ * Without keys the value is looked up in the index of the networks (see Networks#add), falling back to the
+ * network of an address, private key or extended key string (see Networks#detect). With keys, the network
+ * added first with one of the keys matching the value is returned. In both cases a network of the preferred
+ * currency is returned if there is one, otherwise a network of another currency.
+ *
+ * Lookups use indexes of the network values by key, so their cost does not grow with the number of networks.
+ *
+ * Without keys, an extended key string resolves to its network together with the script type of its version
+ * (see SLIP132), as {network, scriptType, keyType, bytes, text} where keyType is 'xpubkey' or 'xprivkey'.
+ *
+ * Example, detect a BIP84 extended public key.
+ * var detected = Networks.get(zpub);
+ * detected.scriptType; // 'p2wpkh'
+ *
+ * @param {string|number|Network} arg
+ * @param {string|Array} keys - if set, only check if the keys associated with this name match
+ * @param {string} preferredCurrency - if set, prefer a network with this id over alternatives (useful for
+ * discrimination among networks that share the same attribute values)
+ * @return Network, or the network and script type of an extended key
+ */
+Registry.prototype.get = function get(arg, keys, preferredCurrency) {
+  if (this._isRegistered(arg)) {
+    return arg;
+  }
+
+  if (!keys) {
+    return this._getIndexed(arg, preferredCurrency);
+  }
+
+  if (!lodash.isArray(keys)) {
+    keys = [keys];
+  }
+
+  // If no network of the preferred currency is found then return a non-preferred network rather than
+  // no network.
+  var foundNetwork = this._findByKeys(arg, keys, preferredCurrency) || this._findByKeys(arg, keys);
+  return this._getActiveVariant(foundNetwork, keys, arg);
+};
+
+/**
+ * @private
+ * Returns the network a value is indexed for, see Networks#get without keys.
+ */
+Registry.prototype._getIndexed = function(arg, preferredCurrency) {
+  // A value indexed as is takes precedence over the prefix of an address string.
+  var addressNetwork = !this._getMapped(arg) && this._getByAddressPrefix(arg, preferredCurrency);
+  if (addressNetwork) {
+    return addressNetwork;
+  }
+
+  // A specific network currency helps to disambiguate networks with the same attribute values.
+  var preferred = preferredCurrency && this._findByKeys(arg, indexAllKeys, preferredCurrency);
+  if (preferred) {
+    return this._getActiveVariant(preferred, indexAllKeys, arg);
+  }
+
+  var mapped = this._getMapped(arg);
+  if (mapped) {
+    return mapped;
+
+  } else if (lodash.isString(arg)) {
+    // Try to detect the network of an address, private key or extended key.
+    var detected = this.detect(arg);
+    if (detected && (detected.kind === 'xpubkey' || detected.kind === 'xprivkey')) {
+      return this._getExtendedKeyVersion(decodeVersion(arg), preferredCurrency);
+    }
+    return detected && detected.network;
+  }
+};
+
+/**
+ * @function
+ * @member Networks#getAll
+ * Retrieves every network associated with a value. Unlike Networks#get this returns all the networks
+ * sharing a value (e.g., the bitcoin WIF prefix 0x80), ranked so that networks of the preferred currency
+ * come first, then networks matching on a key listed earlier in keys, then in the order they were added.
+ *
+ * Example, list the candidate networks for a WIF private key prefix.
+ * var candidates = Networks.getAll(0x80, 'prefix.privatekey', 'BTC');
+ *
+ * @param {string|number|Network} arg
+ * @param {string|Array} keys - if set, only check these keys; defaults to Networks.indexAll
+ * @param {string} preferredCurrency - if set, rank networks with this currency first
+ * @return {Array} The matching networks, empty if there is no match
+ */
+Registry.prototype.getAll = function getAll(arg, keys, preferredCurrency) {
+  var self = this;
+  if (this._isRegistered(arg)) {
+    return [arg];
+  }
+
+  keys = keys || indexAllKeys;
+  if (!lodash.isArray(keys)) {
+    keys = [keys];
+  }
+
+  var matches = [];
+  lodash.forEach(keys, function(key, keyRank) {
+    lodash.forEach(self._lookup(key, arg), function(network) {
+      var isMatched = lodash.some(matches, function(m) {
+        return m.network === network;
+      });
+      if (!isMatched) {
+        matches.push({
+          network: network,
+          keyRank: keyRank,
+          currencyRank: (preferredCurrency && network.currency === preferredCurrency) ? 0 : 1,
+          variantRank: self._isInactiveVariant(network) ? 1 : 0,
+          sequence: network._sequence
+        });
+      }
+    });
+  });
+
+  // Of a testnet and regtest pair, the network lookups currently prefer comes first.
+  return lodash.map(lodash.sortBy(matches, ['currencyRank', 'keyRank', 'variantRank', 'sequence']), 'network');
+};
+
+/**
+ * @function
+ * @member Networks#detect
+ * Classifies an encoded string and detects its network. Base58check encoded strings are classified by their
+ * length as a P2PKH or P2SH address, a WIF private key or an extended key; bech32 and bech32m strings are
+ * segwit addresses. The checksum is verified in both cases.
+ *
+ * Several networks may use the same prefix (e.g., most testnets use the WIF private key prefix 0xef). Each
+ * of them is returned as a candidate, and the result is flagged as ambiguous if there is more than one
+ * candidate or the prefix is a shared prefix (see Networks#isSharedPrefix).
+ *
+ * Example, find the network of a private key.
+ * var detected = Networks.detect('cVbZ8ovhye9AoAHFsqobCf7LxbXDAECy9Kb8TZdfsDYMZGBUyCnm');
+ * detected.kind; // 'privatekey'
+ * detected.candidates; // every network using the prefix 0xef
+ *
+ * @param {string} str - An address, WIF private key or extended key
+ * @param {string} preferredCurrency - if set, rank networks with this currency first
+ * @return {Object} The detection as {network, kind, candidates, ambiguous}, where kind is one of 'pubkeyhash',
+ * 'scripthash', 'privatekey', 'xpubkey', 'xprivkey' or 'bech32' and network is the first of the candidate
+ * networks; undefined if the string is not valid or no network uses its prefix
+ */
+Registry.prototype.detect = function detect(str, preferredCurrency) {
+  var classified = classify(str);
+  if (!classified) {
+    return undefined;
+  }
+
+  var candidates = this.getAll(classified.value, lodash.map(classified.keys, 'key'), preferredCurrency);
+  if (candidates.length === 0) {
+    return undefined;
+  }
+
+  // Only networks using the value for the same kind of string as the first candidate are candidates.
+  var match = lodash.find(classified.keys, function(k) {
+    return lodash.get(candidates[0], k.key) === classified.value;
+  });
+  candidates = lodash.filter(candidates, function(network) {
+    return lodash.get(network, match.key) === classified.value;
+  });
+
+  return {
+    network: candidates[0],
+    kind: match.kind,
+    candidates: candidates,
+    ambiguous: candidates.length > 1 || this.isSharedPrefix(classified.value, match.key)
+  };
+};
+
+/**
+ * @private
+ * Returns the network and script type of extended key version bytes, see Networks#get; undefined if no network
+ * uses the version bytes.
+ */
+Registry.prototype._getExtendedKeyVersion = function(bytes, preferredCurrency) {
+  var keys = lodash.map(versionPaths, function(version) {
+    return version.path + '.bytes';
+  });
+  var network = this.getAll(bytes, keys, preferredCurrency)[0];
+  if (!network) {
+    return undefined;
+  }
+
+  var version = lodash.find(versionPaths, function(v) {
+    return lodash.get(network, v.path + '.bytes') === bytes;
+  });
+  return {
+    network: network,
+    scriptType: version.scriptType,
+    keyType: version.keyType,
+    bytes: bytes,
+    text: lodash.get(network, version.path + '.text')
+  };
+};
+
+/**
+ * @function
+ * @member Networks#convertExtendedKey
+ * Re-encodes an extended key with the version bytes of another script type of its network, e.g., a zpub as
+ * the equivalent xpub. The key data is unchanged.
+ *
+ * @param {string} xkey - A base58 encoded extended public or private key
+ * @param {string} scriptType - The script type to convert to: 'p2pkh' or a SLIP132 script type
+ * @param {string} preferredCurrency - if set, prefer a network with this currency when detecting the version
+ * @throws {InvalidArgument} The key is not base58check encoded, its version is unknown or its network has no
+ * version for the script type
+ * @return {string} The converted extended key
+ */
+Registry.prototype.convertExtendedKey = function convertExtendedKey(xkey, scriptType, preferredCurrency) {
+  var buffer;
+  try {
+    buffer = Base58Check.decode(xkey);
+  } catch (e) {
+    throw new errors.InvalidArgument('xkey', 'invalid base58check encoding: ' + e.message);
+  }
+
+  var detected = (buffer.length === 78) && this._getExtendedKeyVersion(buffer.readUInt32BE(0), preferredCurrency);
+  if (!detected) {
+    throw new errors.InvalidArgument('xkey', 'unknown extended key version');
+  }
+
+  var target = lodash.find(versionPaths, {scriptType: scriptType, keyType: detected.keyType});
+  var bytes = target && lodash.get(detected.network, target.path + '.bytes');
+  if (lodash.isUndefined(bytes)) {
+    throw new errors.InvalidArgument('scriptType', detected.network.name + ' has no ' + scriptType + ' ' +
+      detected.keyType + ' version');
+  }
+
+  buffer.writeUInt32BE(bytes, 0);
+  return Base58Check.encode(buffer);
+};
+
+/**
+ * @function
+ * @member Networks#getFiltered
+ * Will return an array of networks matching the filter. The array is a new array but it contains references
+ * to the networks, not copies.
+ *
+ * The filter is either a predicate function called with each network, or an object whose keys are network
+ * properties (nested properties may be given as paths, e.g., 'version.xpubkey.text'). A property matches
+ * either a value, which is compared as by lodash.isMatch, or an object of operators:
+ *
+ *   $eq - the property equals the operand
+ *   $ne - the property does not equal the operand
+ *   $in - the property equals one of the values in the operand array
+ *   $nin - the property equals none of the values in the operand array
+ *   $exists - the property is defined (operand true) or undefined (operand false)
+ *
+ * Example, return all networks with currency set to 'BTC'.
+ * var filtered = Networks.getFiltered({currency: 'BTC'});
+ *
+ * Example, return the testnets with a port and dns seeds, sorted by description.
+ * var filtered = Networks.getFiltered({
+ *   alias: 'testnet',
+ *   port: {$exists: true},
+ *   dnsSeeds: {$exists: true}
+ * }, {sort: 'description'});
+ *
+ * @param {Object|Function} filter - if not set, all networks match
+ * @param {Object} opts
+ * @param {string|Array|Function} opts.sort - if set, the property (or properties, or function) to sort by
+ * @param {string|Array} opts.order ['asc'] - The sort order of each sort property, 'asc' or 'desc'
+ * @param {Number} opts.limit - if set, the maximum number of networks to return
+ * @throws {InvalidArgument} The filter uses an unknown operator or the limit is invalid
+ * @return {Array} The matching networks, in the order they were added unless sorted
+ */
+Registry.prototype.getFiltered = function getFiltered(filter, opts) {
+  opts = opts || {};
+  if (!lodash.isUndefined(opts.limit) && !JSUtil.isNaturalNumber(opts.limit)) {
+    throw new errors.InvalidArgument('opts.limit', 'must be a natural number');
+  }
+
+  var result = lodash.filter(this._networks, function(network) {
+    return !filter || matchesFilter(network, filter);
+  });
+
+  if (opts.sort) {
+    result = lodash.orderBy(result, opts.sort, opts.order);
+  }
+  if (!lodash.isUndefined(opts.limit)) {
+    result = result.slice(0, opts.limit);
+  }
+  return result;
+};
+
+/**
+ * @function
+ * @member Networks#add
+ * Will add one or more networks. See above for attribute descriptions.
+
+ * @param {Object} data
+ * @param {string} data.currency
+ * @param {string} data.description
+ * @param {string} data.name
+ * @param {string} data.alias
+ * @param {Number} data.coinIndex
+ * @param {string} data.protocol
+ * @param {Number} data.prefix.pubkeyhash
+ * @param {Number} data.prefix.privatekey
+ * @param {Number} data.prefix.scripthash
+ * @param {string} data.prefix.bech32 (optional)
+ * @param {string} data.prefix.cashaddr (optional)
+ * @param {Number} data.version.xpubkey.bytes
+ * @param {Number} data.version.xpubkey.text
+ * @param {Number} data.version.xprivkey.bytes
+ * @param {Number} data.version.xprivkey.text
+ * @param {Object} data.version.slip132 (optional)
+ * @param {Number} data.networkMagic
+ * @param {Number} data.port
+ * @param {Array} data.dnsSeeds
+ * @param {string} data.genesisHash (optional)
+ * @param {Object} data.activationHeights (optional)
+ * @param {Number} data.blockTime (optional)
+ * @param {Number} data.maxMoney (optional)
+ * @param {Number} data.dustThreshold (optional)
+ * @param {Number} data.defaultFeeRate (optional)
+ * @param {Array} data.checkpoints (optional)
+ * @param {Array} data.indexBy (optional)
+ * @param {Object} opts
+ * @param {string} opts.collision ['warn'] - What to do when a network would be indexed under a value already
+ * indexed for another network:
+ *   'throw' - throw Network.Collision and register none of the networks
+ *   'warn' - emit 'collision' with the collisions (see Network.Collision) and index the value to the added
+ *     network (the last added network wins)
+ *   'keep-first' - keep the value indexed to the network that was added first
+ *   'multi' - index the value to a list of every network that uses it, in the order they were added
+ * @throws {Network.MissingField} A required field is missing
+ * @throws {Network.InvalidField} A field has the wrong type or is out of range
+ * @throws {Network.Collision} An index value collides with another network and opts.collision is 'throw'
+ * @return {Array} The added networks
+ */
+Registry.prototype.add = function add(data, opts) {
+  var self = this;
+  opts = opts || {};
+  var policy = opts.collision || 'warn';
+
+  if (collisionPolicies.indexOf(policy) < 0) {
+    throw new errors.InvalidArgument('opts.collision', 'must be one of ' + collisionPolicies.join(', '));
+  }
+
+  if (!lodash.isArray(data)) {
+    data = [data];
+  }
+
+  // Validate every definition before registering any of them.
+  lodash.forEach(data, function(n) {
+    var problems = validateNetwork(n);
+    if (problems.length > 0) {
+      throw problems[0];
+    }
+  });
+
+  var added = [];
+  lodash.forEach(data, function(n) {
+    n.indexBy = n.indexBy || getIndexBy();
+    var network = createNetwork(n, self);
+    added.push({
+      network: network,
+      indexBy: n.indexBy
+    });
+
+    if (n.regtest) {
+      // The regtest variant is indexed only by the values it does not share with its testnet.
+      var regtest = createNetwork(getRegtestDefinition(n), self);
+      var sharedKeys = lodash.filter(n.indexBy, function(key) {
+        return lodash.get(regtest, key) === lodash.get(network, key);
+      });
+      added.push({
+        network: regtest,
+        indexBy: lodash.difference(n.indexBy, sharedKeys),
+        variant: {
+          testnet: network,
+          regtest: regtest,
+          sharedKeys: sharedKeys,
+          enabled: false
+        }
+      });
+    }
+  });
+
+  reportCollisions(this, this._findCollisions(added), policy);
+
+  lodash.forEach(added, function(a) {
+    Object.defineProperty(a.network, '_sequence', {
+      value: self._sequence++
+    });
+    self._networks.push(a.network);
+    self._sharedPrefixes = undefined;
+    self._indexNetworkBy(a.network, a.indexBy, policy);
+    lodash.forEach(self._keyIndexes, function(index, key) {
+      addToKeyIndex(index, key, a.network);
+    });
+    if (a.variant) {
+      self._variants.push(a.variant);
+    }
+  });
+
+  var addedNetworks = lodash.map(added, 'network');
+  this.emit('added', addedNetworks);
+  return addedNetworks;
+};
+
+/**
+ * @function
+ * @member Networks#remove
+ * Will remove one or more custom networks. Removing a testnet also removes its regtest variant. Values the
+ * removed networks were indexed by are indexed again for the remaining networks using them, as if the removed
+ * networks had never been added. Emits 'removed' with the removed networks, if any.
+ *
+ * Example, remove every network of a currency.
+ * Networks.remove(function(network) { return network.currency === 'LTC'; });
+ *
+ * @param {Network|string|Function} arg - A network, a network name or a predicate called with each network
+ * @return {Array} The removed networks
+ */
+Registry.prototype.remove = function remove(arg) {
+  var self = this;
+  var matches = lodash.filter(this._networks, function(network) {
+    if (lodash.isFunction(arg)) {
+      return arg(network);
+    }
+    return lodash.isString(arg) ? network.name === arg : network === arg;
+  });
+
+  var removed = lodash.uniq(lodash.flatMap(matches, function(network) {
+    var variant = self._getVariant(network);
+    return (variant && variant.testnet === network) ? [network, variant.regtest] : [network];
+  }));
+
+  lodash.forEach(removed, function(network) {
+    var variant = self._getVariant(network);
+    if (variant) {
+      self._setRegtest(variant, false);
+      self._variants.splice(self._variants.indexOf(variant), 1);
+    }
+    self._networks.splice(self._networks.indexOf(network), 1);
+    self._sharedPrefixes = undefined;
+    self._unindexNetwork(network);
+    lodash.forEach(self._keyIndexes, function(index, key) {
+      removeFromKeyIndex(index, key, network);
+    });
+  });
+
+  if (removed.length > 0) {
+    this.emit('removed', removed);
+  }
+
+  if (removed.indexOf(this._defaultNetwork) >= 0) {
+    this._changeDefault(this.get('root'));
+  }
+  lodash.forEach(lodash.keys(this._currencyDefaults), function(currency) {
+    if (removed.indexOf(self._currencyDefaults[currency]) >= 0) {
+      self._changeDefault(undefined, currency);
+    }
+  });
+  return removed;
+};
+
+/**
+ * @function
+ * @member Networks#getSharedPrefixes
+ * Several networks may use the same prefix (e.g., most testnets use the bitcoin WIF private key prefix 0xef),
+ * so it's not possible to discern the specific network of an address or private key using such a prefix.
+ * Returns, for each prefix, the values used by more than one registered network and the networks using them.
+ * A testnet and its regtest variant usually share their prefixes.
+ *
+ *   {
+ *     'prefix.pubkeyhash': [{value: 0x6f, networks: [...]}, ...],
+ *     'prefix.privatekey': [...],
+ *     'prefix.scripthash': [...],
+ *     'prefix.bech32': [...],
+ *     'prefix.cashaddr': [...]
+ *   }
+ *
+ * @return {Object} The shared values of each prefix, ordered by value; the networks in the order they were added
+ */
+Registry.prototype.getSharedPrefixes = function getSharedPrefixes() {
+  return lodash.mapValues(this._findSharedPrefixes(), function(values) {
+    return lodash.map(values, function(shared) {
+      return {
+        value: shared.value,
+        networks: shared.networks.slice()
+      };
+    });
+  });
+};
+
+/**
+ * @private
+ * Returns the prefix values shared by several networks, see Networks#getSharedPrefixes. The result is
+ * cached until networks are added or removed, and must not be modified.
+ */
+Registry.prototype._findSharedPrefixes = function() {
+  var self = this;
+  if (this._sharedPrefixes) {
+    return this._sharedPrefixes;
+  }
+
+  var shared = {};
+  lodash.forEach(prefixKeys, function(key) {
+    var groups = lodash.groupBy(lodash.filter(self._networks, function(network) {
+      return !lodash.isUndefined(lodash.get(network, key));
+    }), function(network) {
+      return lodash.get(network, key);
+    });
+
+    var values = lodash.map(lodash.filter(groups, function(group) {
+      return group.length > 1;
+    }), function(group) {
+      return {
+        value: lodash.get(group[0], key),
+        networks: group
+      };
+    });
+    shared[key] = lodash.sortBy(values, 'value');
+  });
+  this._sharedPrefixes = shared;
+  return shared;
+};
+
+/**
+ * @function
+ * @member Networks#isSharedPrefix
+ * Returns whether more than one registered network uses a prefix value, in which case it's not possible to
+ * discern the specific network (e.g., to detect a network mismatch) when the prefix is used. See
+ * Networks#getSharedPrefixes.
+ *
+ * @param {number|string} byte - The prefix value to test
+ * @param {string} prefix - One of the prefixes, e.g., 'prefix.privatekey'
+ * @return {boolean} Whether the value is shared, false if the prefix is not recognized
+ */
+Registry.prototype.isSharedPrefix = function isSharedPrefix(byte, prefix) {
+  return lodash.some(this._findSharedPrefixes()[prefix], {value: byte});
+};
+
+/**
+ * @function
+ * @member Networks#getProtocols
+ * Returns the distinct protocols (BIP21 URI schemes) of the registered networks, in the order they were
+ * added. The root network's protocol is not included.
+ *
+ * Example, list the URI schemes of the bitcoin livenet networks.
+ * var protocols = Networks.getProtocols({currency: 'BTC', alias: 'livenet'});
+ *
+ * @param {Object} filter
+ * @param {string} filter.currency - if set, only include networks with this currency
+ * @param {string} filter.alias - if set, only include networks with this alias
+ * @return {Array} The protocols
+ */
+Registry.prototype.getProtocols = function getProtocols(filter) {
+  filter = filter || {};
+  var sharedNames = lodash.map(sharedDefinitions, 'name');
+  var matching = lodash.filter(this._networks, function(n) {
+    return sharedNames.indexOf(n.name) < 0 &&
+      (!filter.currency || n.currency === filter.currency) &&
+      (!filter.alias || n.alias === filter.alias);
+  });
+  return lodash.uniq(lodash.compact(lodash.map(matching, 'protocol')));
+};
+
+/**
+ * @function
+ * @member Networks#getByProtocol
+ * Retrieves the network using a protocol (BIP21 URI scheme). When several networks use the protocol,
+ * networks with the preferred currency are chosen first and, if no alias is specified, the default network
+ * of the currency (see Networks#getDefault) is chosen over other networks.
+ *
+ * Example, resolve a URI scheme to the bitcoin testnet.
+ * var network = Networks.getByProtocol('bitcoin:', 'testnet');
+ *
+ * @param {string} protocol - The protocol, with or without the trailing ':' (e.g., 'bitcoin:')
+ * @param {string} alias - if set, only consider networks with this alias (e.g., 'livenet', 'testnet')
+ * @param {string} preferredCurrency - if set, prefer a network with this currency over alternatives
+ * @return {Network} The network, undefined if no network uses the protocol
+ */
+Registry.prototype.getByProtocol = function getByProtocol(protocol, alias, preferredCurrency) {
+  var self = this;
+  protocol = lodash.trimEnd(String(protocol).toLowerCase(), ':');
+  var candidates = lodash.filter(this._networks, function(n) {
+    return n.protocol === protocol && (!alias || n.alias === alias);
+  });
+
+  var preferred = lodash.filter(candidates, {currency: preferredCurrency});
+  if (preferred.length > 0) {
+    candidates = preferred;
+  }
+
+  if (!alias) {
+    var defaults = lodash.filter(candidates, function(n) {
+      return n === self.getDefault(n.currency);
+    });
+    candidates = defaults.length > 0 ? defaults : candidates;
+  }
+  return candidates[0];
+};
+
+/**
+ * @function
+ * @member Networks#setDefault
+ * Sets the default network, either for a currency or, if no currency is specified, for when no currency is
+ * known. Emits 'defaultChanged' if the default changes.
+ *
+ * Example, default to testnet for bitcoin.
+ * Networks.setDefault('testnet', {currency: 'BTC'});
+ *
+ * @param {Network|string|number} network - A network, or a value resolved by Networks#get; when a currency
+ * is specified this may also be the alias of one of the currency networks (e.g., 'testnet')
+ * @param {Object} opts
+ * @param {string} opts.currency - if set, the currency to set the default network for
+ * @return {Network} The new default network
+ */
+Registry.prototype.setDefault = function setDefault(network, opts) {
+  opts = opts || {};
+  var currency = opts.currency;
+  var resolved = currency && lodash.find(this._networks, function(n) {
+    return n.currency === currency && (n.name === network || n.alias === network);
+  }) || this.get(network);
+
+  if (!resolved) {
+    throw new errors.InvalidArgument('network', 'unknown network ' + network);
+  }
+  if (currency && resolved.currency !== currency) {
+    throw new errors.InvalidArgument('network', resolved.name + ' is not a ' + currency + ' network');
+  }
+
+  this._changeDefault(resolved, currency);
+  return resolved;
+};
+
+/**
+ * @function
+ * @member Networks#getDefault
+ * Returns the default network for a currency. Unless a default was set for the currency this is the
+ * default network if it has the currency, otherwise the currency's livenet network, otherwise the first
+ * network added with the currency.
+ *
+ * @param {string} currency - if not set, returns the default network for when no currency is known
+ * @return {Network} The default network, undefined if no network has the currency
+ */
+Registry.prototype.getDefault = function getDefault(currency) {
+  if (!currency) {
+    return this._defaultNetwork;
+  }
+
+  if (this._currencyDefaults[currency]) {
+    return this._currencyDefaults[currency];
+  } else if (this._defaultNetwork && this._defaultNetwork.currency === currency) {
+    return this._defaultNetwork;
+  }
+  return lodash.find(this._networks, {currency: currency, alias: 'livenet'}) ||
+    lodash.find(this._networks, {currency: currency});
+};
+
+/**
+ * @private
+ * Sets (or clears, if network is undefined) a default network and emits 'defaultChanged' if the network
+ * returned by Networks#getDefault changes.
+ */
+Registry.prototype._changeDefault = function(network, currency) {
+  var previous = this.getDefault(currency);
+  if (!currency) {
+    this._defaultNetwork = network;
+  } else if (network) {
+    this._currencyDefaults[currency] = network;
+  } else {
+    delete this._currencyDefaults[currency];
+  }
+
+  var current = this.getDefault(currency);
+  if (current !== previous) {
+    this.emit('defaultChanged', current, previous, currency);
+  }
+};
+
+/**
+ * @function
+ * @member Networks#enableRegtest
+ * Switches lookups of the values a testnet shares with its regtest variant (e.g., address prefixes) to
+ * the regtest network. Values unique to either network (e.g., name, port) always find that network.
+ *
+ * @param {string} currency - if set, only enable the regtest variant of networks with this currency
+ */
+Registry.prototype.enableRegtest = function enableRegtest(currency) {
+  var self = this;
+  lodash.forEach(this._getVariants(currency), function(variant) {
+    self._setRegtest(variant, true);
+  });
+};
+
+/**
+ * @function
+ * @member Networks#disableRegtest
+ * Switches lookups of the values a testnet shares with its regtest variant back to the testnet.
+ *
+ * @param {string} currency - if set, only disable the regtest variant of networks with this currency
+ */
+Registry.prototype.disableRegtest = function disableRegtest(currency) {
+  var self = this;
+  lodash.forEach(this._getVariants(currency), function(variant) {
+    self._setRegtest(variant, false);
+  });
+};
+
+/**
+ * @private
+ * Returns the testnet and regtest pairs, optionally only those with the specified currency.
+ */
+Registry.prototype._getVariants = function(currency) {
+  return lodash.filter(this._variants, function(variant) {
+    return !currency || variant.testnet.currency === currency;
+  });
+};
+
+/**
+ * @private
+ * Returns the testnet and regtest pair including the specified network.
+ */
+Registry.prototype._getVariant = function(network) {
+  return lodash.find(this._variants, function(variant) {
+    return variant.testnet === network || variant.regtest === network;
+  });
+};
+
+/**
+ * @private
+ * Points the index entries of the values shared by a testnet and its regtest variant to the enabled
+ * network.
+ */
+Registry.prototype._setRegtest = function(variant, enabled) {
+  var self = this;
+  if (variant.enabled === enabled) {
+    return;
+  }
+
+  var from = enabled ? variant.testnet : variant.regtest;
+  var to = enabled ? variant.regtest : variant.testnet;
+  lodash.forEach(getIndexedValues(from, variant.sharedKeys), function(entry) {
+    var mapped = self._getMappedList(entry.value);
+    var index = mapped.indexOf(from);
+    if (index >= 0) {
+      mapped[index] = to;
+      self._networkMap[entry.value] = mapped.length > 1 ? mapped : mapped[0];
+    }
+  });
+  variant.enabled = enabled;
+};
+
+/**
+ * @private
+ * Returns whether the network is one of a testnet and regtest pair and lookups currently prefer the other
+ * network of the pair.
+ */
+Registry.prototype._isInactiveVariant = function(network) {
+  var variant = this._getVariant(network);
+  return !!variant && network === (variant.enabled ? variant.testnet : variant.regtest);
+};
+
+/**
+ * @private
+ * Returns the network that lookups currently prefer when the specified network matched the value on one
+ * of the keys. If the network has a regtest or testnet variant that also matches and lookups prefer it,
+ * the variant is returned.
+ */
+Registry.prototype._getActiveVariant = function(network, keys, value) {
+  var variant = this._getVariant(network);
+  if (!variant || !this._isInactiveVariant(network)) {
+    return network;
+  }
+
+  var other = (network === variant.testnet) ? variant.regtest : variant.testnet;
+  var matches = lodash.some(keys, function(key) {
+    return lodash.get(other, key) === value;
+  });
+  return matches ? other : network;
+};
+
+/**
+ * @function
+ * @member Networks#fromJSON
+ * Adds a network from its JSON definition (see Network#toJSON).
+ *
+ * @param {string|Object} json - A JSON string or object
+ * @param {Object} opts - Options for Networks#add
+ * @return {Network} The added network
+ */
+Registry.prototype.fromJSON = function fromJSON(json, opts) {
+  return this.add(definitionFromJSON(json), opts)[0];
+};
+
+/**
+ * @function
+ * @member Networks#exportAll
+ * Returns the definitions of the registered networks as JSON. The networks shared by every registry
+ * (e.g., the root network) are not exported.
+ *
+ *   {
+ *     format: 1,
+ *     networks: [ ... ] // see Network#toJSON
+ *   }
+ *
+ * @param {Object} filter - if set, only export networks matching the filter (see Networks#getFiltered)
+ * @return {Object} The exported networks
+ */
+Registry.prototype.exportAll = function exportAll(filter) {
+  var self = this;
+  // Regtest variants are exported as part of their testnet definition.
+  var sharedNames = lodash.map(sharedDefinitions, 'name');
+  var exported = lodash.reject(this.getFiltered(filter), function(network) {
+    var variant = self._getVariant(network);
+    return sharedNames.indexOf(network.name) >= 0 || (variant && variant.regtest === network);
+  });
+
+  return {
+    format: exportFormat,
+    networks: lodash.invokeMap(exported, 'toJSON')
+  };
+};
+
+/**
+ * @function
+ * @member Networks#importAll
+ * Adds the networks exported by Networks#exportAll.
+ *
+ * @param {string|Object|Array} json - A JSON string, an exported object or an array of network definitions
+ * @param {Object} opts - Options for Networks#add
+ * @return {Array} The added networks
+ */
+Registry.prototype.importAll = function importAll(json, opts) {
+  if (lodash.isString(json)) {
+    json = JSON.parse(json);
+  }
+
+  if (!lodash.isArray(json)) {
+    if (json.format !== exportFormat) {
+      throw new errors.InvalidArgument('json', 'unsupported export format ' + json.format);
+    }
+    json = json.networks;
+  }
+  return this.add(lodash.map(json, definitionFromJSON), opts);
+};
+
+/**
+ * @function
+ * @member Networks#snapshot
+ * Captures the state of the registry: its networks, index, regtest settings and default networks.
+ *
+ * Example, undo the changes made by a test suite.
+ * var snapshot;
+ * before(function() { snapshot = Networks.snapshot(); });
+ * after(function() { Networks.restore(snapshot); });
+ *
+ * @return {Object} An opaque handle to pass to Networks#restore
+ */
+Registry.prototype.snapshot = function snapshot() {
+  var handle = {};
+  Object.defineProperty(handle, '_state', {
+    value: {
+      registry: this,
+      state: this._captureState()
+    }
+  });
+  return Object.freeze(handle);
+};
+
+/**
+ * @function
+ * @member Networks#restore
+ * Resets the registry to the state captured by Networks#snapshot. Emits 'removed' with the networks
+ * registered since the snapshot, 'added' with the networks removed since the snapshot and 'defaultChanged'
+ * for each default network that changes. A snapshot may be restored more than once.
+ *
+ * @param {Object} handle - A snapshot of this registry
+ * @throws {InvalidArgument} The handle is not a snapshot of this registry
+ */
+Registry.prototype.restore = function restore(handle) {
+  var self = this;
+  var captured = handle && handle._state;
+  if (!captured || captured.registry !== this) {
+    throw new errors.InvalidArgument('handle', 'not a snapshot of this registry');
+  }
+
+  var previous = this._networks;
+  var previousDefaults = this._getAllDefaults();
+  this._applyState(captured.state);
+
+  var removed = lodash.difference(previous, this._networks);
+  var added = lodash.difference(this._networks, previous);
+  if (removed.length > 0) {
+    this.emit('removed', removed);
+  }
+  if (added.length > 0) {
+    this.emit('added', added);
+  }
+
+  var currentDefaults = this._getAllDefaults();
+  lodash.forEach(lodash.union(lodash.keys(previousDefaults), lodash.keys(currentDefaults)), function(key) {
+    if (previousDefaults[key] !== currentDefaults[key]) {
+      self.emit('defaultChanged', currentDefaults[key], previousDefaults[key], key || undefined);
+    }
+  });
+};
+
+/**
+ * @function
+ * @member Networks#withNetworks
+ * Adds networks for the duration of a function. The registry is restored (see Networks#restore) when the
+ * function returns or throws or, if the function returns a promise, when the promise settles. Any other
+ * change made to the registry in the meantime is undone as well.
+ *
+ * Example, run a test with a temporary network.
+ * it('parses a custom address', function() {
+ *   return Networks.withNetworks(definition, function(networks) {
+ *     return parse(address).then(function(result) { ... });
+ *   });
+ * });
+ *
+ * @param {Object|Array} data - The network definitions, see Networks#add
+ * @param {Function} fn - Called with the array of added networks
+ * @param {Object} opts - Options for Networks#add
+ * @return {*} The value returned by fn
+ */
+Registry.prototype.withNetworks = function withNetworks(data, fn, opts) {
+  var self = this;
+  var handle = this.snapshot();
+  var result;
+
+  try {
+    result = fn(this.add(data, opts));
+  } catch (e) {
+    this.restore(handle);
+    throw e;
+  }
+
+  if (result && lodash.isFunction(result.then)) {
+    return result.then(function(value) {
+      self.restore(handle);
+      return value;
+    }, function(error) {
+      self.restore(handle);
+      throw error;
+    });
+  }
+
+  this.restore(handle);
+  return result;
+};
+
+/**
+ * @private
+ * Returns a copy of the registry state.
+ */
+Registry.prototype._captureState = function() {
+  return copyState({
+    networks: this._networks,
+    networkMap: this._networkMap,
+    indexRecords: this._indexRecords,
+    indexClaims: this._indexClaims,
+    variants: this._variants,
+    defaultNetwork: this._defaultNetwork,
+    currencyDefaults: this._currencyDefaults
+  });
+};
+
+/**
+ * @private
+ * Replaces the registry state with a copy of a captured state, so that the state can be applied again.
+ */
+Registry.prototype._applyState = function(state) {
+  var copy = copyState(state);
+  this._networks = copy.networks;
+  this._networkMap = copy.networkMap;
+  this._keyIndexes = {};
+  this._sharedPrefixes = undefined;
+  this._indexRecords = copy.indexRecords;
+  this._indexClaims = copy.indexClaims;
+  this._variants = copy.variants;
+  this._defaultNetwork = copy.defaultNetwork;
+  this._currencyDefaults = copy.currencyDefaults;
+};
+
+/**
+ * @private
+ * Returns the default network of each currency, keyed by currency, and the default network when no currency
+ * is known, keyed by ''.
+ */
+Registry.prototype._getAllDefaults = function() {
+  var self = this;
+  var defaults = {'': this.getDefault()};
+  var currencies = lodash.union(lodash.map(this._networks, 'currency'), lodash.keys(this._currencyDefaults));
+  lodash.forEach(currencies, function(currency) {
+    defaults[currency] = self.getDefault(currency);
+  });
+  return defaults;
+};
+
+/**
+ * @function
+ * @member Networks#onChange
+ * Subscribes a listener to every change event of the registry. The listener is called with the event
+ * name followed by the event arguments:
+ *
+ *   'added' - (networks) an array of the networks added by a call to Networks#add
+ *   'removed' - (networks) an array of the networks removed by a call to Networks#remove
+ *   'defaultChanged' - (network, previous, currency) the new and previous default network and the
+ *     currency they are the default for (undefined for the default network when no currency is known)
+ *
+ * The registry is also an EventEmitter, so each event can be subscribed to on its own. It also emits
+ * 'collision' (collisions) when networks added with the 'warn' collision policy collide, see Networks#add.
+ *
+ * Example, invalidate a cache whenever the registry changes.
+ * var unsubscribe = Networks.onChange(function(event, network) { cache.reset(); });
+ *
+ * @param {Function} listener
+ * @return {Function} A function removing the listener
+ */
+Registry.prototype.onChange = function onChange(listener) {
+  var self = this;
+  var handlers = lodash.map(changeEvents, function(event) {
+    var handler = function() {
+      listener.apply(null, [event].concat(lodash.toArray(arguments)));
+    };
+    self.on(event, handler);
+    return handler;
+  });
+
+  return function unsubscribe() {
+    lodash.forEach(changeEvents, function(event, i) {
+      self.removeListener(event, handlers[i]);
+    });
+  };
+};
+
+/**
+ * @private
+ * Returns the list of networks indexed under a value, which is a list only if networks were added using
+ * the 'multi' collision policy.
+ */
+Registry.prototype._getMappedList = function(value) {
+  if (!this._networkMap.hasOwnProperty(value)) {
+    return [];
+  }
+  return lodash.isArray(this._networkMap[value]) ? this._networkMap[value] : [this._networkMap[value]];
+};
+
+/**
+ * @private
+ * Returns the network of a bech32 or CashAddr address string by its prefix, preferring a network with the
+ * preferred currency.
+ */
+Registry.prototype._getByAddressPrefix = function(str, preferredCurrency) {
+  var prefix = parseAddressPrefix(str);
+  if (!prefix) {
+    return undefined;
+  }
+
+  var preferred = preferredCurrency &&
+    lodash.find(this.getAll(prefix.value, prefix.key), {currency: preferredCurrency});
+  return preferred || lodash.find(this._getMappedList(prefix.value), function(network) {
+    return lodash.get(network, prefix.key) === prefix.value;
+  });
+};
+
+/**
+ * @private
+ * Returns whether the argument is a network of this registry.
+ */
+Registry.prototype._isRegistered = function(arg) {
+  return arg instanceof Network && this._lookup('name', arg.name).indexOf(arg) >= 0;
+};
+
+/**
+ * @private
+ * Returns the network added first with one of the keys matching the value, optionally only considering the
+ * networks with the specified currency.
+ */
+Registry.prototype._findByKeys = function(value, keys, currency) {
+  var self = this;
+  var found;
+  lodash.forEach(keys, function(key) {
+    var network = lodash.find(self._lookup(key, value), function(n) {
+      return !currency || n.currency === currency;
+    });
+    if (network && (!found || network._sequence < found._sequence)) {
+      found = network;
+    }
+  });
+  return found;
+};
+
+/**
+ * @private
+ * Returns the networks with the value at the specified key, in the order they were added.
+ */
+Registry.prototype._lookup = function(key, value) {
+  var self = this;
+  if (!this._keyIndexes.hasOwnProperty(key)) {
+    this._keyIndexes[key] = {};
+    lodash.forEach(this._networks, function(network) {
+      addToKeyIndex(self._keyIndexes[key], key, network);
+    });
+  }
+
+  var index = this._keyIndexes[key];
+  if (!index.hasOwnProperty(value)) {
+    return [];
+  }
+  // Values are indexed by their string representation, e.g., both 1 and '1' are indexed under '1'.
+  return lodash.filter(index[value], function(network) {
+    return lodash.get(network, key) === value;
+  });
+};
+
+/**
+ * @private
+ * Returns the first network indexed under a value.
+ */
+Registry.prototype._getMapped = function(value) {
+  return this._getMappedList(value)[0];
+};
+
+/**
+ * @private
+ * Finds the values of the networks to be added that are already indexed for another network, either
+ * in the registry or earlier in the list to be added. Each collision is reported as
+ * {value, networks: [{network, key}]} listing every network using the value, the added network last. The
+ * key of each network is one of its own indexBy keys; values of shareable keys are not collisions.
+ */
+Registry.prototype._findCollisions = function(added) {
+  var self = this;
+  var pending = {};
+  var collisions = [];
+
+  var isShareable = function(claim) {
+    return shareableKeys.indexOf(claim.key) >= 0;
+  };
+
+  lodash.forEach(added, function(a) {
+    var entries = lodash.reject(getIndexedValues(a.network, a.indexBy), isShareable);
+    lodash.forEach(entries, function(entry) {
+      var others = lodash.map(self._indexClaims[entry.value], function(claim) {
+        return {network: claim.network, key: claim.key};
+      }).concat(pending[entry.value] || []);
+
+      others = lodash.reject(others, function(other) {
+        return other.network === a.network || isShareable(other);
+      });
+
+      if (others.length > 0) {
+        collisions.push({
+          value: entry.value,
+          networks: others.concat({network: a.network, key: entry.key})
+        });
+      }
+
+      pending[entry.value] = (pending[entry.value] || []).concat({network: a.network, key: entry.key});
+    });
+  });
+
+  return collisions;
+};
+
+Registry.prototype._indexNetworkBy = function(network, keys, policy) {
+  var self = this;
+  var entries = lodash.uniqBy(getIndexedValues(network, keys), 'value');
+  this._indexRecords.push({
+    network: network,
+    values: lodash.map(entries, 'value')
+  });
+
+  // Each claim keeps the key the network indexes the value by, to report collisions.
+  lodash.forEach(entries, function(entry) {
+    var claim = {network: network, key: entry.key, policy: policy};
+    self._indexClaims[entry.value] = (self._indexClaims[entry.value] || []).concat(claim);
+    self._indexValue(network, entry.value, policy);
+  });
+};
+
+/**
+ * @private
+ * Maps a value to a network as required by the collision policy the network was added with.
+ */
+Registry.prototype._indexValue = function(network, value, policy) {
+  var mapped = this._getMappedList(value);
+  if (mapped.length === 0 || policy === 'warn') {
+    this._networkMap[value] = network;
+  } else if (policy === 'multi' && mapped.indexOf(network) < 0) {
+    this._networkMap[value] = mapped.concat(network);
+  }
+};
+
+/**
+ * @private
+ * Removes the index entries of a network, indexing its values again for the other networks claiming them.
+ */
+Registry.prototype._unindexNetwork = function(network) {
+  var self = this;
+  var isNetwork = function(record) {
+    return record.network === network;
+  };
+  var index = lodash.findIndex(this._indexRecords, isNetwork);
+  if (index < 0) {
+    return;
+  }
+
+  // Networks are compared by identity, another network may have the same definition.
+  lodash.forEach(this._indexRecords.splice(index, 1)[0].values, function(value) {
+    self._indexClaims[value] = lodash.reject(self._indexClaims[value], isNetwork);
+    if (self._indexClaims[value].length === 0) {
+      delete self._indexClaims[value];
+    }
+    self._reindexValue(value);
+  });
+};
+
+/**
+ * @private
+ * Maps a value again from the networks claiming it, in the order they were added.
+ */
+Registry.prototype._reindexValue = function(value) {
+  var self = this;
+  delete this._networkMap[value];
+  lodash.forEach(this._indexClaims[value], function(claim) {
+    self._indexValue(claim.network, value, claim.policy);
+  });
+
+  // Values a testnet shares with its enabled regtest variant map to the regtest network.
+  lodash.forEach(this._variants, function(variant) {
+    var mapped = self._getMappedList(value);
+    var shared = lodash.some(getIndexedValues(variant.testnet, variant.sharedKeys), {value: value});
+    if (variant.enabled && shared && mapped.indexOf(variant.testnet) >= 0) {
+      mapped[mapped.indexOf(variant.testnet)] = variant.regtest;
+      self._networkMap[value] = mapped.length > 1 ? mapped : mapped[0];
+    }
+  });
+};
+
+// See Networks#validate above.
+Registry.prototype.validate = validateNetwork;
+
+/**
+ * @member Networks#defaultNetwork
+ * The default network, when no currency is known. Assigning a network is the same as calling
+ * Networks#setDefault without a currency.
+ */
+Object.defineProperty(Registry.prototype, 'defaultNetwork', {
+  enumerable: true,
+  get: function() {
+    return this.getDefault();
+  },
+  set: function(value) {
+    this.setDefault(value);
+  }
+});
+
+/**
+ * @function
+ * @member Networks#createRegistry
+ * Creates a network registry with its own private set of networks and index. The registry has the same API
+ * as the Networks namespace (which is itself the default registry) and starts with only the shared networks
+ * (e.g., the root network) registered.
+ *
+ * Example, register a coin set that does not affect the default registry.
+ * var registry = Networks.createRegistry();
+ * registry.add(definitions);
+ *
+ * @return {Object} A new registry
+ */
+function createRegistry() {
+  return new Registry();
+}
+
+var defaultRegistry = createRegistry();
+
+// The functions of the Networks namespace work when called detached from it (e.g., var get = Networks.get).
+lodash.forEach(lodash.functions(Registry.prototype), function(name) {
+  if (name[0] !== '_') {
+    defaultRegistry[name] = defaultRegistry[name].bind(defaultRegistry);
+  }
+});
+
+/**
+ * @namespace Networks
+ */
+module.exports = lodash.extend(defaultRegistry, {
+  Bip44: Bip44,
+  createRegistry: createRegistry
+});
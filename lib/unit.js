@@ -1,9 +1,13 @@
 'use strict';
 
 var owsCommon = require('@owstack/ows-common');
-var errors = owsCommon.errors;
+var errors = require('./errors');
 var lodash = owsCommon.deps.lodash;
 var $ = owsCommon.util.preconditions;
+var Integer = require('./integer');
+var getLocaleFormat = require('./localeformat');
+
+var defaultLocale;
 
 /**
  * Utility for handling and converting currency units. The supported units are
@@ -17,6 +21,12 @@ var $ = owsCommon.util.preconditions;
  * using the unit accessors. It also can be converted to a fiat amount by providing the
  * corresponding exchange rate, for example BTC/USD.
  *
+ * The value is held as an exact integer number of atomic units (a BigInt, or a decimal
+ * string where BigInt is not supported), so amounts above 2^53 atomic units keep their
+ * precision. Amounts may be given as numbers, decimal strings (e.g., '0.00000001') or
+ * BigInts and are converted without floating point arithmetic; {toDecimalString} returns
+ * the exact value in any unit.
+ *
  * Implementing currencies define units as follows.
  *
  * @example
@@ -66,6 +76,10 @@ var $ = owsCommon.util.preconditions;
  * code
  *   The currency code. Non-standard codes may be used for "sub-units".
  *
+ * symbol
+ *   The currency symbol, e.g., '\u20bf' for Bitcoin (optional). Used by toString with the
+ *   'symbol' unit display.
+ *
  * accessor
  *   The name of the unit to be used as 'to' and 'from' accessors.
  *   E.g., accessor = 'satoshis' yields toSatoshis() and fromSatoshis()
@@ -82,7 +96,7 @@ var $ = owsCommon.util.preconditions;
  * 
  * value
  *   The number of atomic units in 'this' unit; e.g. 100000000 for Bitcoin,
- *   100 for US Dollar.
+ *   100 for US Dollar. Values above 2^53 may be given as an integer string or a BigInt.
  *
  * precision
  *   Represents various degrees for formatted precision, suitable for user
@@ -97,16 +111,491 @@ var $ = owsCommon.util.preconditions;
  *   minDecimals - The minimum number of decimals for this unit.
  */
 
+/**
+ * @private
+ * Get the unit with the specified abstract 'kind' or code.
+ * For example, using Bitcoin, kind == 'standard' will return the 'BTC' unit.
+ */
+function getUnit(obj, code) {
+  var unit;
+  unit = lodash.find(obj.units, function(u) {
+    return (u.code == code) || (u.kind == code);
+  });
+  return unit;
+};
+
+/**
+ * @private
+ * Get the unit matching the specified code, kind, short name or accessor.
+ */
+function findUnit(obj, code) {
+  var unit = lodash.find(obj.units, function(u) {
+    return (u.code == code) || (u.kind == code) || (u.shortName == code) || (u.accessor == code);
+  });
+
+  if (!unit) {
+    throw new errors.Unit.UnknownCode(code);
+  }
+  return unit;
+}
+
+var decimalRE = /^([+-]?)([0-9]*)(?:\.([0-9]*))?(?:[eE]([+-]?[0-9]+))?$/;
+
+/**
+ * @private
+ * Converts a number, decimal string or BigInt to an exact integer and a number of decimals (scale), such
+ * that the value is digits / 10^scale. Numbers are converted using their shortest string representation,
+ * e.g., 0.1 is exactly 1 / 10^1. Returns undefined if the value is not a finite decimal number.
+ */
+function parseDecimal(value) {
+  if (Integer.isBigInt(value)) {
+    return {digits: Integer.from(value), scale: 0};
+  }
+  if (lodash.isNumber(value) && isFinite(value)) {
+    value = String(value);
+  }
+
+  var match = lodash.isString(value) && decimalRE.exec(value.trim());
+  if (!match || !(match[2] || match[3])) {
+    return undefined;
+  }
+
+  var fraction = match[3] || '';
+  var scale = fraction.length - Number(match[4] || 0);
+  var digits = Integer.from(match[1] + (match[2] || '0') + fraction);
+  if (scale < 0) {
+    digits = Integer.mul(digits, Integer.pow10(-scale));
+    scale = 0;
+  }
+  return {digits: digits, scale: scale};
+}
+
+/**
+ * @private
+ * Parses an amount, see parseDecimal.
+ */
+function parseAmount(amount) {
+  var parsed = parseDecimal(amount);
+  if (!parsed) {
+    throw new errors.InvalidArgument('amount', 'expected a number, a decimal string or a BigInt, got ' + amount);
+  }
+  return parsed;
+}
+
+/**
+ * @private
+ * Parses an exchange rate, which must be a positive number.
+ */
+function parseRate(rate) {
+  var parsed = parseDecimal(rate);
+  if (!parsed || rate <= 0) {
+    throw new errors.Unit.InvalidRate(rate);
+  }
+  return parsed;
+}
+
+/**
+ * @private
+ * Returns the number of atomic units in a unit as an exact integer.
+ */
+function getUnitSize(unit) {
+  var size = parseDecimal(unit.value);
+  if (!size || size.scale > 0 || Integer.sign(size.digits) <= 0) {
+    throw new errors.InvalidArgument('units', 'the value of unit ' + unit.code + ' must be a positive integer');
+  }
+  return size.digits;
+}
+
+/**
+ * @private
+ * The rounding modes of inexact divisions. Each returns whether to round the quotient, truncated towards zero,
+ * away from zero, given the sign of the exact quotient and whether the remainder is below (-1), at (0) or
+ * above (1) half of the divisor.
+ */
+var roundingModes = {
+  'floor': function(r) {
+    return r.sign < 0;
+  },
+  'ceil': function(r) {
+    return r.sign > 0;
+  },
+  'half-up': function(r) {
+    return r.half >= 0;
+  },
+  'half-even': function(r) {
+    var isOdd = Integer.sign(Integer.divmod(r.quotient, Integer.fromNumber(2)).remainder) !== 0;
+    return r.half > 0 || (r.half === 0 && isOdd);
+  }
+};
+
+/**
+ * @private
+ * Divides two integers using the specified rounding mode; defaults to 'half-up' (half away from zero). The
+ * description of the result is used in the error thrown by the 'throw' rounding mode.
+ */
+function divide(dividend, divisor, roundingMode, description) {
+  roundingMode = roundingMode || 'half-up';
+  if (roundingMode !== 'throw' && !roundingModes.hasOwnProperty(roundingMode)) {
+    throw new errors.InvalidArgument('roundingMode', 'must be one of ' + lodash.keys(roundingModes).join(', ') +
+      ', throw');
+  }
+
+  var result = Integer.divmod(dividend, divisor);
+  if (Integer.sign(result.remainder) === 0) {
+    return result.quotient;
+  }
+  if (roundingMode === 'throw') {
+    throw new errors.Unit.PrecisionLoss(description);
+  }
+
+  var sign = Integer.sign(dividend) * Integer.sign(divisor);
+  var awayFromZero = roundingModes[roundingMode]({
+    sign: sign,
+    half: Integer.cmp(Integer.abs(Integer.mul(result.remainder, Integer.fromNumber(2))), Integer.abs(divisor)),
+    quotient: result.quotient
+  });
+  return awayFromZero ? Integer.add(result.quotient, Integer.fromNumber(sign)) : result.quotient;
+}
+
+/**
+ * @private
+ * Returns the number of atomic units of a fiat amount at the specified exchange rate, as an exact integer.
+ */
+function fromFiat(obj, amount, rate, roundingMode) {
+  var parsedRate = parseRate(rate);
+  var standard = getUnitSize(findUnit(obj, 'standard'));
+  var fiat = parseAmount(amount);
+  return divide(
+    Integer.mul(Integer.mul(fiat.digits, Integer.pow10(parsedRate.scale)), standard),
+    Integer.mul(parsedRate.digits, Integer.pow10(fiat.scale)),
+    roundingMode,
+    'the fiat amount ' + amount + ' at rate ' + rate + ' in atomic units'
+  );
+}
+
+/**
+ * @private
+ * Removes the trailing zeros of a decimal string beyond the specified number of decimals, and the decimal
+ * point if no decimals remain.
+ */
+function trimZeros(amount, minDecimals) {
+  var parts = amount.split('.');
+  if (parts.length < 2) {
+    return amount;
+  }
+  var fraction = parts[1].slice(0, minDecimals) + parts[1].slice(minDecimals).replace(/0+$/, '');
+  return parts[0] + (fraction ? '.' + fraction : '');
+}
+
+/**
+ * @private
+ * Splits the integer digits into groups, e.g., ['12', '34', '567'] with a primary grouping of 3 and a secondary
+ * grouping of 2.
+ */
+function groupDigits(digits, grouping) {
+  if (digits.length < grouping.primary + grouping.minimum) {
+    return [digits];
+  }
+
+  var groups = [digits.slice(-grouping.primary)];
+  digits = digits.slice(0, -grouping.primary);
+  while (digits.length > grouping.secondary) {
+    groups.unshift(digits.slice(-grouping.secondary));
+    digits = digits.slice(0, -grouping.secondary);
+  }
+  groups.unshift(digits);
+  return groups;
+}
+
+/**
+ * @private
+ * Returns the parts of a decimal string formatted with a locale format and the separator options.
+ */
+function getNumberParts(amount, format, opts) {
+  var localize = function(digits) {
+    return digits.replace(/[0-9]/g, function(digit) {
+      return format.digits[digit];
+    });
+  };
+
+  var negative = amount[0] === '-';
+  var split = amount.replace(/^-/, '').split('.');
+  var groups = opts.includeSeparators ? groupDigits(split[0], format.grouping) : [split[0]];
+  var parts = negative ? lodash.cloneDeep(format.minus) : [];
+
+  lodash.forEach(groups, function(group, i) {
+    if (i > 0) {
+      parts.push({type: 'group', value: lodash.isUndefined(opts.thousandsSeparator) ? format.group :
+        opts.thousandsSeparator});
+    }
+    parts.push({type: 'integer', value: localize(group)});
+  });
+
+  if (split.length > 1) {
+    parts.push({type: 'decimal', value: lodash.isUndefined(opts.decimalSeparator) ? format.decimal :
+      opts.decimalSeparator});
+    parts.push({type: 'fraction', value: localize(split[1])});
+  }
+  return parts;
+}
+
+var unitDisplays = ['shortName', 'code', 'symbol'];
+var unitPositions = ['prefix', 'suffix'];
+
+/**
+ * @private
+ * The placement of units other than symbols.
+ */
+var defaultUnitPlacement = {
+  position: 'suffix',
+  separator: ' '
+};
+
+/**
+ * @private
+ * Adds the unit to the parts of a formatted number, before the digits (after the minus sign) or after them.
+ */
+function addUnitParts(parts, unit, format, opts) {
+  $.checkArgument(unitDisplays.indexOf(opts.unitDisplay) >= 0, 'opts.unitDisplay',
+    'must be one of ' + unitDisplays.join(', '));
+  $.checkArgument(!opts.unitPosition || unitPositions.indexOf(opts.unitPosition) >= 0, 'opts.unitPosition',
+    'must be one of ' + unitPositions.join(', '));
+
+  var isSymbol = opts.unitDisplay === 'symbol' && unit.symbol;
+  var placement = isSymbol ? format.symbol : defaultUnitPlacement;
+  var unitParts = [{type: 'unit', value: isSymbol ? unit.symbol : unit[opts.unitDisplay] || unit.shortName}];
+  var separator = placement.separator ? [{type: 'literal', value: placement.separator}] : [];
+
+  if ((opts.unitPosition || placement.position) === 'prefix') {
+    var index = lodash.findIndex(parts, {type: 'integer'});
+    return parts.slice(0, index).concat(unitParts, separator, parts.slice(index));
+  }
+  return parts.concat(separator, unitParts);
+}
+
+/**
+ * @private
+ * Returns a Unit.InvalidFormat error for the parsed text, with the text and reason as properties.
+ */
+function parseError(text, reason, detail) {
+  var error = new errors.Unit.InvalidFormat(text, detail);
+  error.text = text;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * @private
+ * Returns the unit whose code, short name, accessor or symbol ends the text or starts it (after the sign), and
+ * the number without the unit. The longest label wins (e.g., 'mBTC' over 'BTC'); with ignoreCase, a label
+ * matching in case wins over one that does not.
+ */
+function findLabel(units, text, ignoreCase) {
+  var sign = /^[+-]/.test(text) ? text[0] : '';
+  var rest = text.slice(sign.length).trim();
+  var matches = [];
+  var isMatch = function(str, label) {
+    return str === label || (ignoreCase && str.toLowerCase() === label.toLowerCase());
+  };
+
+  lodash.forEach(units, function(unit) {
+    var labels = lodash.compact(lodash.uniq([unit.code, unit.shortName, unit.accessor, unit.symbol]));
+    lodash.forEach(labels, function(label) {
+      var candidates = [
+        {str: rest.slice(-label.length), number: rest.slice(0, -label.length)},
+        {str: rest.slice(0, label.length), number: rest.slice(label.length)}
+      ];
+      lodash.forEach(candidates, function(candidate) {
+        if (isMatch(candidate.str, label)) {
+          matches.push({unit: unit, length: label.length, exact: candidate.str === label, number: candidate.number});
+        }
+      });
+    });
+  });
+
+  var match = lodash.first(lodash.orderBy(matches, ['length', 'exact'], ['desc', 'desc']));
+  return match && {
+    unit: match.unit,
+    number: sign + match.number.trim()
+  };
+}
+
+/**
+ * @private
+ * Returns whether a text without a known unit has characters other than digits, signs, spaces and separators,
+ * i.e., an unknown unit.
+ */
+function hasUnknownLabel(text, separators) {
+  var rest = text.replace(/[0-9+\-\s\u00a0\u202f]/g, '');
+  lodash.forEach([separators.thousands, separators.decimal], function(separator) {
+    rest = separator ? rest.split(separator).join('') : rest;
+  });
+  return rest.length > 0;
+}
+
+/**
+ * @private
+ * Returns the number format of the locale option (or the default locale), with the thousands and decimal
+ * separators overridden by the separator options.
+ */
+function getSeparators(opts) {
+  var format = getLocaleFormat(lodash.isUndefined(opts.locale) ? defaultLocale : opts.locale);
+  return {
+    format: format,
+    thousands: lodash.isUndefined(opts.thousandsSeparator) ? format.group : opts.thousandsSeparator,
+    decimal: lodash.isUndefined(opts.decimalSeparator) ? format.decimal : opts.decimalSeparator
+  };
+}
+
+/**
+ * @private
+ * Replaces the digits and minus sign of a locale in a text by ASCII digits and '-', and removes bidirectional
+ * text marks.
+ */
+function normalizeText(text, format) {
+  var minusSigns = lodash.map(lodash.filter(format.minus, {type: 'minusSign'}), 'value');
+  var replacements = lodash.map(format.digits, String).concat(minusSigns);
+  var normalized = lodash.reduce(replacements, function(result, search, i) {
+    return result.split(search).join(i < 10 ? String(i) : '-');
+  }, text.replace(/[\u200e\u200f\u061c]/g, ''));
+  return normalized.trim();
+}
+
+/**
+ * @private
+ * Returns whether the digit groups of an integer part follow the grouping of a locale: the last group has the
+ * primary size and the others the secondary size, except the first one which may be shorter but does not
+ * start with 0 (e.g., '1,234,567' or '12,34,567' for 'en-IN', but not '12,34' or '0,500').
+ */
+function isGrouped(groups, grouping) {
+  return lodash.every(groups, function(group, i) {
+    if (i === groups.length - 1) {
+      return group.length === grouping.primary;
+    }
+    return i === 0 ? /^[1-9]/.test(group) && group.length <= grouping.secondary : group.length === grouping.secondary;
+  });
+}
+
+/**
+ * @private
+ * Converts a number using the specified separators into a decimal string, e.g., '-1,234.50' into '-1234.50'.
+ * Thousands separators are only allowed between digits of the integer part, in the groups of the locale (see
+ * isGrouped). Space separators match any kind of space (e.g., a non-breaking space).
+ */
+function parseNumber(text, number, separators) {
+  var normalize = function(str) {
+    return str.replace(/[\s\u00a0\u202f]/g, ' ');
+  };
+  var parts = normalize(number).split(normalize(separators.decimal));
+  var sign = /^[+-]/.test(parts[0]) ? parts[0][0] : '';
+  var integer = parts[0].slice(sign.length);
+  var groups = separators.thousands ? integer.split(normalize(separators.thousands)) : [integer];
+
+  var valid = parts.length <= 2 && /^[0-9]*$/.test(parts[1] || '') &&
+    lodash.every(groups, function(group) {
+      return /^[0-9]*$/.test(group);
+    }) &&
+    (groups.length === 1 || isGrouped(groups, separators.format.grouping)) &&
+    (groups.join('') + (parts[1] || '')).length > 0;
+  if (!valid) {
+    throw parseError(text, 'invalid-number', 'expected a number using the separators \'' + separators.thousands +
+      '\' and \'' + separators.decimal + '\'');
+  }
+  return sign + (groups.join('') || '0') + (parts.length > 1 ? '.' + parts[1] : '');
+}
+
+/**
+ * @private
+ * Checks that a parsed amount has at most the maximum decimals of the full precision of its unit.
+ */
+function checkDecimals(text, amount, unit) {
+  if ((amount.split('.')[1] || '').length > unit.precision.full.maxDecimals) {
+    throw parseError(text, 'too-many-decimals', unit.code + ' has at most ' + unit.precision.full.maxDecimals +
+      ' decimals');
+  }
+}
+
+/**
+ * @private
+ * Parses the scalar of a multiplication or division, see parseDecimal.
+ */
+function parseScalar(scalar) {
+  var parsed = parseDecimal(scalar);
+  if (!parsed) {
+    throw new errors.InvalidArgument('scalar', 'expected a number, a decimal string or a BigInt, got ' + scalar);
+  }
+  return parsed;
+}
+
+/**
+ * @private
+ * Returns the decimal string of the integer n / 10^decimals, e.g., formatScaled(-1230, 3) is '-1.230'.
+ */
+function formatScaled(n, decimals) {
+  var digits = Integer.toString(Integer.abs(n));
+  if (decimals > 0) {
+    digits = lodash.padStart(digits, decimals + 1, '0');
+    digits = digits.slice(0, -decimals) + '.' + digits.slice(-decimals);
+  }
+  return (Integer.sign(n) < 0 ? '-' : '') + digits;
+}
+
+/**
+ * @private
+ * Returns the decimal string of the value of a unit instance in the specified unit, rounded to the specified
+ * number of decimals.
+ */
+function toDecimal(obj, unit, decimals, roundingMode) {
+  return formatScaled(divide(Integer.mul(obj._value, Integer.pow10(decimals)), getUnitSize(unit), roundingMode,
+    Integer.toString(obj._value) + ' atomic units in ' + unit.code + ' with ' + decimals + ' decimals'), decimals);
+}
+
+/**
+ * @private
+ * Returns the number of decimals needed to represent any value in a unit of the specified size, undefined
+ * if some values have no finite decimal representation (the size has prime factors other than 2 and 5).
+ */
+function getExactDecimals(size) {
+  var counts = lodash.map([2, 5], function(factor) {
+    var count = 0;
+    var divisor = Integer.fromNumber(factor);
+    var result = Integer.divmod(size, divisor);
+    while (Integer.sign(result.remainder) === 0) {
+      size = result.quotient;
+      count++;
+      result = Integer.divmod(size, divisor);
+    }
+    return count;
+  });
+  return Integer.cmp(size, Integer.fromNumber(1)) === 0 ? lodash.max(counts) : undefined;
+}
+
+/**
+ * @private
+ * Get the value of the unit with the specified 'kind' or code.
+ */
+function getUnitValue(obj, code) {
+  var unit = getUnit(obj, code);
+  if (!unit) {
+    throw new errors.Unit.UnknownCode(code);
+  }
+  return obj[unit.shortName];
+};
+
 /**
  * @param {Array} units - An array of valid units
- * @param {Number} amount [optional] - The amount to be represented
+ * @param {Number|String|BigInt} amount [optional] - The amount to be represented
  * @param {String|Number} code [optional] - The unit of the amount or the exchange rate
+ * @param {Object} opts [optional]
+ * @param {String} opts.rounding ['half-up'] - How to round an amount that is not a whole number of atomic
+ *   units, see Unit.RoundingModes
+ * @throws {Unit.PrecisionLoss} The amount must be rounded and opts.rounding is 'throw'
  * @returns {Unit} A new instance of an Unit
  * @constructor
  */
-function Unit(units, amount, code) {
+function Unit(units, amount, code, opts) {
   if (!(this instanceof Unit)) {
-    return new Unit(units, amount, code);
+    return new Unit(units, amount, code, opts);
   }
 
   this.units = units;
@@ -116,19 +605,15 @@ function Unit(units, amount, code) {
     return;
   }
 
+  opts = opts || {};
+
   // Convert fiat to standard unit
   if (lodash.isNumber(code)) {
-    if (code <= 0) {
-      throw new errors.Unit.InvalidRate(code);
-    }
-    amount = amount / code;
-    code = lodash.find(this.units, function(u) {
-      return u.kind == 'standard';
-    }).code;
+    this._value = fromFiat(this, amount, code, opts.rounding);
+  } else {
+    this._value = this._from(amount, code, opts.rounding);
   }
 
-  this._value = this._from(amount, code);
-
   var self = this;
   var defineAccesor = function(key) {
     Object.defineProperty(self, key, {
@@ -145,6 +630,70 @@ function Unit(units, amount, code) {
   return this;
 };
 
+/**
+ * @private
+ * Checks that another unit can be combined with a unit, i.e., it is a unit built from the same units.
+ */
+function checkCompatible(obj, other) {
+  if (!(other instanceof Unit) || other.units !== obj.units) {
+    throw new errors.InvalidArgument('other', 'expected a Unit built from the same units');
+  }
+}
+
+/**
+ * @private
+ * Checks that a list of units is not empty.
+ */
+function checkList(list) {
+  if (!lodash.isArray(list) || list.length === 0) {
+    throw new errors.InvalidArgument('list', 'expected a non-empty array of units');
+  }
+}
+
+/**
+ * @private
+ * Returns a new unit of the same type and units as a unit, with the specified atomic value.
+ */
+function withValue(obj, value) {
+  var result = Object.create(Object.getPrototypeOf(obj));
+  Unit.call(result, obj.units, Integer.toString(value), findUnit(obj, 'atomic').code);
+  return result;
+}
+
+/**
+ * The rounding modes of conversions and divisions that do not result in a whole number of atomic units, or
+ * in a value with at most the maximum decimals of a unit.
+ *
+ *   floor - Round towards negative infinity.
+ *   ceil - Round towards positive infinity.
+ *   half-up - Round to the nearest value, half away from zero (the default).
+ *   half-even - Round to the nearest value, half to the even value (banker's rounding).
+ *   throw - Do not round, throw Unit.PrecisionLoss.
+ */
+Unit.RoundingModes = lodash.keys(roundingModes).concat('throw');
+
+/**
+ * Sets the locale used to format and parse amounts when no locale option is given, see Unit#formatToParts.
+ * Without default locale, amounts use ',' and '.' as separators.
+ *
+ * @param {String|Array} locale - A BCP 47 language tag (e.g., 'de-DE') or list of tags; unset to remove the
+ *   default locale
+ * @throws {InvalidArgument} The locale is not a valid language tag
+ */
+Unit.setDefaultLocale = function(locale) {
+  getLocaleFormat(locale);
+  defaultLocale = locale;
+};
+
+/**
+ * Returns the locale set with Unit.setDefaultLocale.
+ *
+ * @returns {String|Array} The default locale, undefined if not set
+ */
+Unit.getDefaultLocale = function() {
+  return defaultLocale;
+};
+
 /**
  * Abstract functions and statics required to be implemented.
  */
@@ -164,49 +713,276 @@ Unit.fromAtomicUnit = function(amount) {
   throw new errors.AbstractMethodInvoked('Unit#fromStandardUnit');
 };
 
-Unit.prototype._from = function(amount, code) {
-  var unit = lodash.find(this.units, function(u) {
-    return (u.code == code) || (u.kind == code) || (u.shortName == code) || (u.accessor == code);
-  });
+/**
+ * Returns the sum of a list of units, which must all be built from the same units.
+ *
+ * @param {Array} list - A non-empty list of units
+ * @returns {Unit} A new unit with the sum of the values
+ */
+Unit.sum = function(list) {
+  checkList(list);
+  return lodash.reduce(list.slice(1), function(sum, unit) {
+    return sum.add(unit);
+  }, list[0]);
+};
+
+/**
+ * Returns the unit with the largest value of a list of units, which must all be built from the same units.
+ *
+ * @param {Array} list - A non-empty list of units
+ * @returns {Unit} The first unit with the largest value
+ */
+Unit.max = function(list) {
+  checkList(list);
+  return lodash.reduce(list.slice(1), function(max, unit) {
+    return unit.gt(max) ? unit : max;
+  }, list[0]);
+};
 
+/**
+ * Returns the unit with the smallest value of a list of units, which must all be built from the same units.
+ *
+ * @param {Array} list - A non-empty list of units
+ * @returns {Unit} The first unit with the smallest value
+ */
+Unit.min = function(list) {
+  checkList(list);
+  return lodash.reduce(list.slice(1), function(min, unit) {
+    return unit.lt(min) ? unit : min;
+  }, list[0]);
+};
+
+/**
+ * Parses a user-entered amount with an optional unit, e.g., '1,234.56 mBTC', '0.5btc' or '500 sats'.
+ * This is the inverse of Unit#toString: separators and digits are those of the locale or the separator
+ * options, and the unit is recognized by its code, short name, accessor or symbol, before or after the number.
+ *
+ * @example
+ * ```javascript
+ * Unit.parse('1,234.56 mBTC', {units: UNITS}).toDecimalString('satoshi'); // '123456000'
+ * Unit.parse('1.234,56', {units: UNITS, locale: 'de-DE', defaultCode: 'mBTC'});
+ * Unit.parse('0.5btc', {units: UNITS, ignoreCase: true});
+ * ```
+ *
+ * @param {String} text - The amount
+ * @param {Object} opts
+ * @param {Array} opts.units - An array of valid units
+ * @param {String} opts.locale - The locale of the amount (see Intl.NumberFormat); defaults to Unit.setDefaultLocale
+ * @param {String} opts.thousandsSeparator - Overrides the thousands separator of the locale
+ * @param {String} opts.decimalSeparator - Overrides the decimal separator of the locale
+ * @param {String} opts.defaultCode - The unit of an amount without unit; if not set a unit is required
+ * @param {boolean} opts.ignoreCase [false] - Recognize the unit regardless of its case
+ * @throws {Unit.InvalidFormat} The text is not a valid amount; the error has the parsed 'text' and the
+ *   'reason' ('empty', 'missing-unit', 'unknown-unit', 'invalid-number' or 'too-many-decimals')
+ * @returns {Unit} A new unit with the parsed amount
+ */
+Unit.parse = function(text, opts) {
+  opts = opts || {};
+  $.checkArgument(lodash.isArray(opts.units), 'opts.units', 'must be an array of units');
+  if (!lodash.isString(text) || text.trim() === '') {
+    throw parseError(text, 'empty', 'no amount');
+  }
+
+  var separators = getSeparators(opts);
+  var normalized = normalizeText(text, separators.format);
+  var label = findLabel(opts.units, normalized, opts.ignoreCase);
+  if (!label && hasUnknownLabel(normalized, separators)) {
+    throw parseError(text, 'unknown-unit', 'expected a code, short name, accessor or symbol of the units');
+  }
+
+  var unit = label ? label.unit : opts.defaultCode && findUnit({units: opts.units}, opts.defaultCode);
   if (!unit) {
-    throw new errors.Unit.UnknownCode(code);
+    throw parseError(text, 'missing-unit', 'expected an amount with a unit');
   }
-  return parseInt((amount * unit.value).toFixed());
+
+  var amount = parseNumber(text, label ? label.number : normalized, separators);
+  checkDecimals(text, amount, unit);
+  return new Unit(opts.units, amount, unit.code);
+};
+
+/**
+ * @private
+ * Returns the number of atomic units of an amount in the specified unit, as an exact integer.
+ */
+Unit.prototype._from = function(amount, code, roundingMode) {
+  var parsed = parseAmount(amount);
+  var unit = findUnit(this, code);
+  return divide(Integer.mul(parsed.digits, getUnitSize(unit)), Integer.pow10(parsed.scale), roundingMode,
+    amount + ' ' + unit.code + ' in atomic units');
 };
 
 /**
- * Returns the value represented in the specified unit
+ * Returns the value represented in the specified unit, rounded to the maximum decimals of the unit
+ * precision. Numbers above 2^53 are not exact, see {toDecimalString}.
  *
  * @param {String|Number} code - The unit code or exchange rate
+ * @param {Object} opts
+ * @param {boolean} opts.fullPrecision [true] - Round to the full rather than the short precision of the unit
+ * @param {String} opts.rounding ['half-up'] - The rounding mode, see Unit.RoundingModes
+ * @throws {Unit.PrecisionLoss} The value must be rounded and opts.rounding is 'throw'
  * @returns {Number} The converted value
  */
 Unit.prototype.to = function(code, opts) {
-  opts = opts || {
+  opts = lodash.defaults({}, opts, {
     fullPrecision: true
-  };
+  });
 
   if (lodash.isNumber(code)) {
-    if (code <= 0) {
-      throw new errors.Unit.InvalidRate(code);
-    }
-    return parseFloat((getUnitValue(this, 'standard') * code).toFixed(2));
+    var rate = parseRate(code);
+    var standard = getUnitSize(findUnit(this, 'standard'));
+    return Number(formatScaled(divide(
+      Integer.mul(Integer.mul(this._value, rate.digits), Integer.pow10(2)),
+      Integer.mul(standard, Integer.pow10(rate.scale)),
+      opts.rounding,
+      'the value at rate ' + code + ' with 2 decimals'
+    ), 2));
   }
 
-  var unit = lodash.find(this.units, function(u) {
-    return (u.code == code) || (u.kind == code) || (u.shortName == code) || (u.accessor == code);
-  });
+  var unit = findUnit(this, code);
+  var precision = opts.fullPrecision ? unit.precision.full : unit.precision.short;
+  return Number(toDecimal(this, unit, precision.maxDecimals, opts.rounding));
+};
 
-  if (!unit) {
-    throw new errors.Unit.UnknownCode(code);
+/**
+ * Returns the exact value represented in the specified unit as a decimal string, without
+ * insignificant trailing zeros, separators or units (e.g., '1.345'). A value that has no finite
+ * decimal representation in the unit is rounded to the maximum decimals of the unit full precision.
+ *
+ * @param {String} code - The unit code or kind; defaults to atomic units
+ * @returns {String} The value as a decimal string
+ */
+Unit.prototype.toDecimalString = function(code) {
+  var unit = findUnit(this, code || 'atomic');
+  var decimals = getExactDecimals(getUnitSize(unit));
+  if (lodash.isUndefined(decimals)) {
+    decimals = unit.precision.full.maxDecimals;
   }
 
-  var value = this._value / unit.value;
-  if (opts.fullPrecision == true) {
-    return parseFloat(value.toFixed(unit.precision.full.maxDecimals));
-  } else {
-    return parseFloat(value.toFixed(unit.precision.short.maxDecimals));
+  var amount = toDecimal(this, unit, decimals);
+  if (amount.indexOf('.') >= 0) {
+    amount = amount.replace(/0+$/, '').replace(/\.$/, '');
+  }
+  return amount;
+};
+
+/**
+ * Returns the sum of this and another unit, as a new unit. The units must be built from the same units.
+ *
+ * @param {Unit} other - The unit to add
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.add = function(other) {
+  checkCompatible(this, other);
+  return withValue(this, Integer.add(this._value, other._value));
+};
+
+/**
+ * Returns the difference of this and another unit, as a new unit. The units must be built from the same units.
+ *
+ * @param {Unit} other - The unit to subtract
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.sub = function(other) {
+  checkCompatible(this, other);
+  return withValue(this, Integer.sub(this._value, other._value));
+};
+
+/**
+ * Returns this unit multiplied by a scalar, as a new unit. A result that is not a whole number of atomic
+ * units is rounded.
+ *
+ * @param {Number|String|BigInt} scalar - The multiplier, e.g., 3 or '0.5'
+ * @param {String} roundingMode ['half-up'] - The rounding mode, see Unit.RoundingModes
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.mul = function(scalar, roundingMode) {
+  var parsed = parseScalar(scalar);
+  return withValue(this, divide(Integer.mul(this._value, parsed.digits), Integer.pow10(parsed.scale), roundingMode,
+    'the product with ' + scalar));
+};
+
+/**
+ * Returns this unit divided by a scalar, as a new unit. A result that is not a whole number of atomic
+ * units is rounded.
+ *
+ * @param {Number|String|BigInt} scalar - The divisor, e.g., 3 or '0.5'
+ * @param {String} roundingMode ['half-up'] - The rounding mode, see Unit.RoundingModes
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.div = function(scalar, roundingMode) {
+  var parsed = parseScalar(scalar);
+  if (Integer.sign(parsed.digits) === 0) {
+    throw new errors.InvalidArgument('scalar', 'can not divide by zero');
   }
+  return withValue(this, divide(Integer.mul(this._value, Integer.pow10(parsed.scale)), parsed.digits, roundingMode,
+    'the quotient by ' + scalar));
+};
+
+/**
+ * Returns the negated value of this unit, as a new unit.
+ *
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.neg = function() {
+  return withValue(this, Integer.neg(this._value));
+};
+
+/**
+ * Returns the absolute value of this unit, as a new unit.
+ *
+ * @returns {Unit} A new unit
+ */
+Unit.prototype.abs = function() {
+  return withValue(this, Integer.abs(this._value));
+};
+
+/**
+ * Compares this unit with another unit built from the same units.
+ *
+ * @param {Unit} other - The unit to compare with
+ * @returns {Number} -1, 0 or 1 if this value is less than, equal to or greater than the other value
+ */
+Unit.prototype.cmp = function(other) {
+  checkCompatible(this, other);
+  return Integer.cmp(this._value, other._value);
+};
+
+/**
+ * @param {Unit} other - The unit to compare with
+ * @returns {boolean} Whether this value equals the other value
+ */
+Unit.prototype.eq = function(other) {
+  return this.cmp(other) === 0;
+};
+
+/**
+ * @param {Unit} other - The unit to compare with
+ * @returns {boolean} Whether this value is less than the other value
+ */
+Unit.prototype.lt = function(other) {
+  return this.cmp(other) < 0;
+};
+
+/**
+ * @param {Unit} other - The unit to compare with
+ * @returns {boolean} Whether this value is greater than the other value
+ */
+Unit.prototype.gt = function(other) {
+  return this.cmp(other) > 0;
+};
+
+/**
+ * @returns {boolean} Whether the value is zero
+ */
+Unit.prototype.isZero = function() {
+  return Integer.sign(this._value) === 0;
+};
+
+/**
+ * @returns {boolean} Whether the value is less than zero
+ */
+Unit.prototype.isNegative = function() {
+  return Integer.sign(this._value) < 0;
 };
 
 /**
@@ -325,73 +1101,82 @@ Unit.prototype.atomicsName = function() {
  * Returns the value represented in fiat
  *
  * @param {string} rate - The exchange rate; example BTC/USD
+ * @param {Object} opts
+ * @param {String} opts.rounding ['half-up'] - The rounding mode, see Unit.RoundingModes
  * @returns {Number} The value converted to atomic units
  */
-Unit.prototype.atRate = function(rate) {
-  return this.to(rate);
+Unit.prototype.atRate = function(rate, opts) {
+  return this.to(rate, opts);
 };
 
 /**
  * Returns a the string representation of the value using the specified kind; defaults to atomic units
  *
  * @param {string} code - the unit code or kind of string representation to create
+ * @param {Object} opts - See Unit#formatToParts
+ * @returns {string} the value using the specified kind
+ */
+Unit.prototype.toString = function(code, opts) {
+  return lodash.map(this.formatToParts(code, opts), 'value').join('');
+};
+
+/**
+ * Returns the string representation of the value (see Unit#toString) as a list of parts, like
+ * Intl.NumberFormat#formatToParts, for user interface components that style the parts. The parts have the
+ * types 'minusSign', 'integer', 'group', 'decimal', 'fraction', 'literal' and 'unit'.
+ *
+ * With a locale, the digits, separators and grouping (e.g., 12,34,567 for 'en-IN') are those of the locale,
+ * as is the position of a unit symbol. The separator options override those of the locale.
+ *
+ * @example
+ * ```javascript
+ * unit.formatToParts('BTC', {locale: 'de-DE'});
+ * // [{type: 'integer', value: '1'}, {type: 'group', value: '.'}, {type: 'integer', value: '345'},
+ * //  {type: 'decimal', value: ','}, {type: 'fraction', value: '5'}, {type: 'literal', value: ' '},
+ * //  {type: 'unit', value: 'BTC'}]
+ * ```
+ *
+ * @param {string} code - the unit code or kind of string representation to create
  * @param {Object} opts
+ * @param {boolean} opts.fullPrecision [false] - Use the full rather than the short precision of the unit
+ * @param {String} opts.locale - The locale (see Intl.NumberFormat); defaults to Unit.setDefaultLocale
  * @param {boolean} opts.includeUnits [true] - Add the human readable unit to the result (e.g., 'BTC')
+ * @param {String} opts.unitDisplay ['shortName'] - Display the unit 'shortName', 'code' or 'symbol' (the
+ *   short name if the unit has no symbol)
+ * @param {String} opts.unitPosition - Place the unit as a 'prefix' or 'suffix'; defaults to the position of a
+ *   currency symbol in the locale for symbols, 'suffix' otherwise
  * @param {boolean} opts.includeSeparators [true] - Add the number separators to the value (e.g., 1,000.00)
- * @param {string} opts.thousandsSeparator - default to ','
- * @param {string} opts.decimalSeparator - default to '.'
+ * @param {string} opts.thousandsSeparator - default to the locale separator or ','
+ * @param {string} opts.decimalSeparator - default to the locale separator or '.'
  * @param {boolean} opts.noInsignificant [true] - Include insignificant digits if precision is long
- * @returns {string} the value using the specified kind
+ * @param {String} opts.rounding ['half-up'] - The rounding mode, see Unit.RoundingModes
+ * @returns {Array} The parts, each as {type, value}
  */
-Unit.prototype.toString = function(code, opts) {
+Unit.prototype.formatToParts = function(code, opts) {
   code = code || 'atomic';
-  opts = opts || {};
-
-  lodash.defaults(opts, {
+  opts = lodash.defaults({}, opts, {
     fullPrecision: false,
+    locale: defaultLocale,
     includeUnits: true,
+    unitDisplay: 'shortName',
     includeSeparators: true,
-    thousandsSeparator: ',',
-    decimalSeparator: '.',
     noInsignificant: true
-  })
-
-  function addSeparators(nStr, thousands, decimal, minDecimals) {
-    nStr = nStr.replace('.', decimal);
-    var x = nStr.split(decimal);
-    var x0 = x[0];
-    var x1 = x[1];
-
-    x1 = lodash.dropRightWhile(x1, function(n, i) {
-      return n == '0' && i >= minDecimals;
-    }).join('');
-    var x2 = x.length > 1 ? decimal + x1 : '';
-
-    x0 = x0.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
-    return x0 + x2;
-  }
-
-  var pre = 'short';
-  if (opts.fullPrecision) {
-    pre = 'full';
-  }
+  });
 
   var unit = getUnit(this, code);
-  var amount = this.to(code, opts).toFixed(unit.precision[pre].maxDecimals);
+  var precision = unit.precision[opts.fullPrecision ? 'full' : 'short'];
+  var format = getLocaleFormat(opts.locale);
+  var amount = toDecimal(this, unit, precision.maxDecimals, opts.rounding);
 
-  if (!!opts.noInsignificant && amount.indexOf('.') >= 0) {
-    amount = amount.replace(/[0]+$/, '');
-    amount = amount.replace(/\.$/, '');
+  if (opts.noInsignificant) {
+    amount = trimZeros(amount, 0);
   }
-
-  if (!!opts.includeSeparators) {
-    amount = addSeparators(amount, opts.thousandsSeparator, opts.decimalSeparator, unit.precision[pre].minDecimals);
+  if (opts.includeSeparators) {
+    amount = trimZeros(amount, precision.minDecimals);
   }
 
-  if (!!opts.includeUnits) {
-    amount = amount + ' ' + unit.shortName;
-  }
-  return amount;
+  var parts = getNumberParts(amount, format, opts);
+  return opts.includeUnits ? addUnitParts(parts, unit, format, opts) : parts;
 };
 
 /**
@@ -413,32 +1198,7 @@ Unit.prototype.toObject = function() {
  * @returns {string} the value in atomic units
  */
 Unit.prototype.inspect = function() {
-  return '<Unit: ' + this.toString('atomic', {includeSeparators: false}) + '>';
-};
-
-/**
- * @private
- * Get the unit with the specified abstract 'kind' or code.
- * For example, using Bitcoin, kind == 'standard' will return the 'BTC' unit.
- */
-function getUnit(obj, code) {
-  var unit;
-  unit = lodash.find(obj.units, function(u) {
-    return (u.code == code) || (u.kind == code);
-  });
-  return unit;
-};
-
-/**
- * @private
- * Get the value of the unit with the specified 'kind' or code.
- */
-function getUnitValue(obj, code) {
-  var unit = getUnit(obj, code);
-  if (!unit) {
-    throw new errors.Unit.UnknownCode(code);
-  }
-  return obj[unit.shortName];
+  return '<Unit: ' + this.toString('atomic', {includeSeparators: false, locale: null}) + '>';
 };
 
 module.exports = Unit;
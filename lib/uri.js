@@ -79,6 +79,15 @@ URI.prototype.newAddress = function(data) {
   return new this.Address(data);
 };
 
+/**
+ * Returns the protocol of the URI network, or of the default network if the network is not known.
+ *
+ * @returns {string} The network protocol (e.g., 'bitcoin')
+ */
+URI.prototype.getProtocol = function() {
+  return (this.network || this.Networks.getDefault()).protocol;
+};
+
 /**
  * Convert a network URI string into a simple object.
  *
@@ -168,7 +177,7 @@ URI.prototype._fromObject = function(obj) {
   }
 
   this.address = this.newAddress(obj.address);
-  this.network = this.address.network;
+  this.network = this.address.network || this._getDefaultNetwork(obj.protocol);
   this.amount = obj.amount;
 
   var p = this.address.toString().match(/^.*:/g);
@@ -193,6 +202,16 @@ URI.prototype._fromObject = function(obj) {
   }
 };
 
+/**
+ * Internal function to get the network of a URI whose address does not specify one.
+ *
+ * @param {string} protocol - The URI protocol, if known
+ * @returns {Network} The network using the protocol, or the default network
+ */
+URI.prototype._getDefaultNetwork = function(protocol) {
+  return (protocol && this.Networks.getByProtocol(protocol)) || this.Networks.getDefault();
+};
+
 /**
  * Internal function to transform a BCH string amount into satoshis
  *
@@ -0,0 +1,235 @@
+'use strict';
+
+var should = require('chai').should();
+
+var Networks = require('..');
+var DerivationPath = Networks.DerivationPath;
+
+describe('DerivationPath', function() {
+
+  var registry = Networks.createRegistry();
+  registry.add([{
+    currency: 'DPA',
+    description: 'pathnet',
+    name: 'pathnet',
+    alias: 'livenet',
+    coinIndex: 0x81234571,
+    protocol: 'pathnet',
+    prefix: {},
+    version: {
+      xpubkey: {
+        bytes: 0x0278b21a,
+        text: 'dpub'
+      },
+      xprivkey: {
+        bytes: 0x0278b21c,
+        text: 'dprv'
+      }
+    }
+  }, {
+    currency: 'DPB',
+    description: 'pathnet-b',
+    name: 'pathnet-b',
+    alias: 'livenet',
+    coinIndex: 0x81234572,
+    protocol: 'pathnetb',
+    prefix: {},
+    version: {
+      xpubkey: {
+        bytes: 0x0278b21b,
+        text: 'epub'
+      },
+      xprivkey: {
+        bytes: 0x0278b21d,
+        text: 'eprv'
+      }
+    }
+  }, {
+    currency: 'DPC',
+    description: 'pathnet-c',
+    name: 'pathnet-c',
+    alias: 'livenet',
+    coinIndex: 0x81234572,
+    protocol: 'pathnetc',
+    prefix: {},
+    version: {
+      xpubkey: {
+        bytes: 0x0278b21e,
+        text: 'fpub'
+      },
+      xprivkey: {
+        bytes: 0x0278b21f,
+        text: 'fprv'
+      }
+    }
+  }]);
+
+  describe('building paths', function() {
+
+    it('builds a path from components', function() {
+      var path = new DerivationPath({coinType: 0, account: 0, change: 0, index: 5});
+      path.toString().should.equal('m/44\'/0\'/0\'/0/5');
+      path.purpose.should.equal(44);
+    });
+
+    it('can be created without new', function() {
+      var path = DerivationPath('m/44\'/0\'/0\'');
+      path.should.be.instanceof(DerivationPath);
+    });
+
+    it('builds partial paths', function() {
+      new DerivationPath({purpose: 84, coinType: 2, account: 1}).toString().should.equal('m/84\'/2\'/1\'');
+    });
+
+    it('rejects a gap in the levels', function() {
+      (function() {
+        return new DerivationPath({coinType: 0, change: 0});
+      }).should.throw('account must be an integer');
+    });
+
+    it('rejects invalid level values', function() {
+      (function() {
+        return new DerivationPath({coinType: 0, account: -1});
+      }).should.throw('account must be an integer');
+      (function() {
+        return new DerivationPath({coinType: DerivationPath.HARDENED_OFFSET, account: 0});
+      }).should.throw('coinType must be an integer');
+      (function() {
+        return new DerivationPath({coinType: 0, account: 0, change: 2, index: 0});
+      }).should.throw('change must be 0 or 1');
+    });
+
+  });
+
+  describe('parsing paths', function() {
+
+    it('parses a path string into components', function() {
+      DerivationPath.parse('m/49\'/1\'/2\'/1/7').should.deep.equal({
+        purpose: 49,
+        coinType: 1,
+        account: 2,
+        change: 1,
+        index: 7
+      });
+    });
+
+    it('accepts h and H as hardened markers', function() {
+      new DerivationPath('m/84h/0H/0h/0/1').toString().should.equal('m/84\'/0\'/0\'/0/1');
+    });
+
+    it('round trips all supported purposes', function() {
+      [
+        'm/44\'/0\'/0\'/0/0',
+        'm/45\'/3/0/12',
+        'm/48\'/0\'/0\'/2\'/0/0',
+        'm/49\'/0\'/0\'/1/3',
+        'm/84\'/0\'/0\'/0/0',
+        'm/86\'/0\'/0\'/0/0'
+      ].forEach(function(str) {
+        new DerivationPath(str).toString().should.equal(str);
+      });
+    });
+
+    it('returns the layout of purpose 45 and 48 paths', function() {
+      new DerivationPath('m/45\'/3/0/12').toObject().should.deep.equal({
+        purpose: 45,
+        cosigner: 3,
+        change: 0,
+        index: 12
+      });
+      new DerivationPath('m/48\'/0\'/1\'/2\'').scriptType.should.equal(2);
+    });
+
+    it('enforces hardening rules', function() {
+      DerivationPath.isValid('m/44/0\'/0\'').should.equal(false);
+      DerivationPath.isValid('m/44\'/0/0\'').should.equal(false);
+      DerivationPath.isValid('m/44\'/0\'/0\'/0\'/0').should.equal(false);
+      DerivationPath.isValid('m/45\'/0\'/0/0').should.equal(false);
+      (function() {
+        return new DerivationPath('m/44\'/0\'/0\'/0/1\'');
+      }).should.throw('index must not be hardened');
+    });
+
+    it('rejects malformed paths', function() {
+      DerivationPath.isValid('').should.equal(false);
+      DerivationPath.isValid('m').should.equal(false);
+      DerivationPath.isValid('44\'/0\'').should.equal(false);
+      DerivationPath.isValid('m/44\'/x\'').should.equal(false);
+      DerivationPath.isValid('m/44\'/0\'/0\'/0/0/0').should.equal(false);
+      DerivationPath.isValid('m/44\'/2147483648\'').should.equal(false);
+    });
+
+    it('rejects unsupported purposes', function() {
+      (function() {
+        return DerivationPath.parse('m/43\'/0\'');
+      }).should.throw('Unsupported derivation path purpose: 43');
+      (function() {
+        return new DerivationPath({purpose: 50});
+      }).should.throw('Unsupported derivation path purpose: 50');
+    });
+
+  });
+
+  describe('serializing paths', function() {
+
+    it('returns the child indexes', function() {
+      new DerivationPath('m/44\'/1\'/0\'/1/4').toArray().should.deep.equal([
+        0x8000002c, 0x80000001, 0x80000000, 1, 4
+      ]);
+    });
+
+    it('serializes to JSON', function() {
+      JSON.parse(JSON.stringify(new DerivationPath('m/84\'/0\'/3\''))).should.deep.equal({
+        purpose: 84,
+        coinType: 0,
+        account: 3
+      });
+    });
+
+  });
+
+  describe('#fromNetwork', function() {
+
+    it('builds a path from a network', function() {
+      var network = registry.get('pathnet');
+      var path = DerivationPath.fromNetwork(network, {purpose: 84, account: 1, change: 0, index: 9});
+      path.toString().should.equal('m/84\'/19088753\'/1\'/0/9');
+    });
+
+    it('resolves a network value in the registry', function() {
+      DerivationPath.fromNetwork('pathnet-c', {account: 0}, registry).coinType.should.equal(19088754);
+      (function() {
+        return DerivationPath.fromNetwork('pathnet-c', {account: 0});
+      }).should.throw('unknown network');
+    });
+
+    it('builds a path from a network value', function() {
+      DerivationPath.fromNetwork('root', {account: 0}).coinType.should.equal(Networks.get('root').coinIndex);
+      (function() {
+        return DerivationPath.fromNetwork('unknownnet');
+      }).should.throw('unknown network');
+    });
+
+  });
+
+  describe('#getNetwork', function() {
+
+    it('resolves the network of the coin type', function() {
+      new DerivationPath('m/44\'/19088753\'/0\'').getNetwork(undefined, registry).name.should.equal('pathnet');
+      should.not.exist(new DerivationPath('m/44\'/5\'/0\'').getNetwork(undefined, registry));
+      should.not.exist(new DerivationPath('m/45\'/0/0/0').getNetwork(undefined, registry));
+    });
+
+    it('prefers the network with the preferred currency', function() {
+      var path = new DerivationPath('m/44\'/19088754\'/0\'');
+      path.getNetwork(undefined, registry).name.should.equal('pathnet-b');
+      path.getNetwork('DPC', registry).name.should.equal('pathnet-c');
+    });
+
+    it('resolves the network in the default registry', function() {
+      new DerivationPath({coinType: Networks.get('root').coinIndex}).getNetwork().name.should.equal('root');
+    });
+
+  });
+
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+var should = require('chai').should();
+
+var Integer = require('../lib/integer');
+
+describe('Integer', function() {
+
+  var cases = [
+    ['0', '7'],
+    ['123456789012345678901234567890', '987654321'],
+    ['-123456789012345678901234567890', '987654321'],
+    ['99999999999999999999', '-1'],
+    ['-1000000000000000000000', '-999999999999999999999'],
+    ['5', '123456789012345678901234567890']
+  ];
+
+  function results(math) {
+    return cases.map(function(c) {
+      var a = math.from(c[0]);
+      var b = math.from(c[1]);
+      var divmod = math.divmod(a, b);
+      return [
+        math.toString(math.add(a, b)),
+        math.toString(math.sub(a, b)),
+        math.toString(math.mul(a, b)),
+        math.toString(divmod.quotient),
+        math.toString(divmod.remainder),
+        math.cmp(a, b),
+        math.sign(a),
+        math.toString(math.abs(a))
+      ];
+    });
+  }
+
+  it('computes exact results with decimal strings', function() {
+    var math = Integer.create(false);
+    results(math)[1].should.deep.equal([
+      '123456789012345678902222222211',
+      '123456789012345678900246913569',
+      '121932631124828532112482853211126352690',
+      '124999998873437499901',
+      '574845669',
+      1,
+      1,
+      '123456789012345678901234567890'
+    ]);
+    results(math)[2][3].should.equal('-124999998873437499901');
+    results(math)[2][4].should.equal('-574845669');
+  });
+
+  it('computes the same results with BigInt and decimal strings', function() {
+    if (typeof BigInt !== 'function') {
+      return this.skip();
+    }
+    results(Integer.create(true)).should.deep.equal(results(Integer.create(false)));
+  });
+
+  it('converts integer values', function() {
+    var math = Integer.create(false);
+    math.toString(math.from('+007')).should.equal('7');
+    math.toString(math.from('-0')).should.equal('0');
+    math.toString(math.from(-42)).should.equal('-42');
+    math.toString(math.pow10(3)).should.equal('1000');
+    should.not.exist(math.from('1.5'));
+    should.not.exist(math.from(Math.pow(2, 53)));
+  });
+
+});
@@ -2,6 +2,7 @@
 
 var expect = require('chai').expect;
 var should = require('chai').should();
+var sinon = require('sinon');
 
 var owsCommon = require('@owstack/ows-common');
 var Networks = require('..');
@@ -9,6 +10,32 @@ var lodash = owsCommon.deps.lodash;
 
 describe('Networks', function() {
 
+  /**
+   * Returns a network definition for the tests with the given fields. The description and protocol default to
+   * the name, the alias to 'livenet' and the prefixes to none. The extended key versions are opts.bytes and
+   * opts.bytes + 1, with the texts name + 'pub' and name + 'prv'.
+   */
+  function definition(opts) {
+    var bytes = opts.bytes || 0;
+    return lodash.extend({
+      description: opts.name,
+      alias: 'livenet',
+      coinIndex: 0x81234569,
+      protocol: opts.name,
+      prefix: {},
+      version: {
+        xpubkey: {
+          bytes: bytes,
+          text: opts.name + 'pub'
+        },
+        xprivkey: {
+          bytes: bytes + 1,
+          text: opts.name + 'prv'
+        }
+      }
+    }, lodash.cloneDeep(lodash.omit(opts, 'bytes')));
+  }
+
   var customnet;
 
   it('should be able to define a custom Network', function() {
@@ -93,6 +120,1879 @@ describe('Networks', function() {
     Networks.remove(custom);
   });
 
+  describe('registries', function() {
+
+    describe('#createRegistry', function() {
+
+      var definition = {
+        currency: 'REG',
+        description: 'regnet',
+        name: 'regnet',
+        alias: 'livenet',
+        coinIndex: 0x8123456b,
+        protocol: 'regnet',
+        prefix: {
+          pubkeyhash: 0x24
+        },
+        version: {
+          xpubkey: {
+            bytes: 0x0278b213,
+            text: 'gpub'
+          },
+          xprivkey: {
+            bytes: 0x0278ade9,
+            text: 'gprv'
+          }
+        }
+      };
+
+      it('starts with its own root network', function() {
+        var registry = Networks.createRegistry();
+        registry.getFiltered().length.should.equal(1);
+        registry.defaultNetwork.should.equal(registry.get('root'));
+        registry.get('root').should.not.equal(Networks.get('root'));
+      });
+
+      it('does not share networks with other registries', function() {
+        var a = Networks.createRegistry();
+        var b = Networks.createRegistry();
+        a.add(lodash.cloneDeep(definition));
+        a.get(0x24).name.should.equal('regnet');
+        should.not.exist(b.get('regnet'));
+        should.not.exist(Networks.get('regnet'));
+      });
+
+      it('removes networks only from its own registry', function() {
+        var a = Networks.createRegistry();
+        var b = Networks.createRegistry();
+        a.add(lodash.cloneDeep(definition));
+        b.add(lodash.cloneDeep(definition));
+        a.remove(a.get('regnet'));
+        should.not.exist(a.get('regnet'));
+        b.get('regnet').name.should.equal('regnet');
+      });
+
+      it('lets the functions of the default registry be called detached', function() {
+        var get = Networks.get;
+        get('root').should.equal(Networks.get('root'));
+        var added = [lodash.cloneDeep(definition)].map(Networks.add);
+        Networks.get('regnet').should.equal(added[0][0]);
+        Networks.remove(added[0][0]);
+        should.not.exist(Networks.get('regnet'));
+      });
+
+      it('does not return networks of another registry', function() {
+        var registry = Networks.createRegistry();
+        should.not.exist(registry.get(Networks.get('root'), 'name'));
+        registry.getAll(Networks.get('root')).should.deep.equal([]);
+      });
+
+    });
+
+    describe('change events', function() {
+
+      var registry;
+      var definition = {
+        currency: 'EVT',
+        description: 'eventnet',
+        name: 'eventnet',
+        alias: 'livenet',
+        coinIndex: 0x8123456c,
+        protocol: 'eventnet',
+        prefix: {},
+        version: {
+          xpubkey: {
+            bytes: 0x0278b214,
+            text: 'epub'
+          },
+          xprivkey: {
+            bytes: 0x0278adea,
+            text: 'eprv'
+          }
+        }
+      };
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+      });
+
+      it('emits added with the added networks', function() {
+        var listener = sinon.spy();
+        registry.on('added', listener);
+        registry.add(lodash.cloneDeep(definition));
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args[0].should.deep.equal([registry.get('eventnet')]);
+      });
+
+      it('emits removed with the removed network', function() {
+        var listener = sinon.spy();
+        registry.add(lodash.cloneDeep(definition));
+        var network = registry.get('eventnet');
+        registry.on('removed', listener);
+        registry.remove(network);
+        registry.remove(network);
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args[0].should.deep.equal([network]);
+      });
+
+      it('emits defaultChanged when the default network is assigned', function() {
+        var listener = sinon.spy();
+        registry.add(lodash.cloneDeep(definition));
+        registry.on('defaultChanged', listener);
+        registry.defaultNetwork = 'eventnet';
+        registry.defaultNetwork.should.equal(registry.get('eventnet'));
+        listener.calledWith(registry.get('eventnet'), registry.get('root')).should.equal(true);
+      });
+
+      it('notifies and unsubscribes an onChange listener', function() {
+        var listener = sinon.spy();
+        var unsubscribe = registry.onChange(listener);
+        registry.add(lodash.cloneDeep(definition));
+        var network = registry.get('eventnet');
+        registry.remove(network);
+        unsubscribe();
+        registry.add(lodash.cloneDeep(definition));
+        listener.callCount.should.equal(2);
+        listener.firstCall.args.should.deep.equal(['added', [network]]);
+        listener.secondCall.args.should.deep.equal(['removed', [network]]);
+      });
+
+    });
+
+    describe('JSON', function() {
+
+      var definition = {
+        currency: 'JSN',
+        description: 'jsonnet',
+        name: 'jsonnet',
+        alias: 'testnet',
+        coinIndex: 0x8123456d,
+        protocol: 'jsonnet',
+        prefix: {
+          pubkeyhash: 0x25,
+          privatekey: 0xa5,
+          scripthash: 0x26
+        },
+        version: {
+          xpubkey: {
+            bytes: 0x0278b215,
+            text: 'jpub'
+          },
+          xprivkey: {
+            bytes: 0x0278adeb,
+            text: 'jprv'
+          }
+        },
+        networkMagic: 0xfabfb5da,
+        port: 20013,
+        dnsSeeds: ['jsonnet.localhost'],
+        indexBy: Networks.indexMinimal
+      };
+
+      var registry;
+      var network;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        network = registry.add(lodash.cloneDeep(definition))[0];
+      });
+
+      it('writes a network definition with a hex network magic', function() {
+        var expected = lodash.cloneDeep(definition);
+        expected.networkMagic = 'fabfb5da';
+        network.toJSON().should.deep.equal(expected);
+        JSON.parse(JSON.stringify(network)).should.deep.equal(expected);
+      });
+
+      it('reads a network definition', function() {
+        var other = Networks.createRegistry().fromJSON(JSON.stringify(network));
+        other.networkMagic.should.deep.equal(network.networkMagic);
+        other.toJSON().should.deep.equal(network.toJSON());
+      });
+
+      it('rejects an invalid network magic', function() {
+        var json = network.toJSON();
+        json.networkMagic = 'fabfb5';
+        expect(function() {
+          Networks.createRegistry().fromJSON(json);
+        }).to.throw(owsCommon.errors.Network.InvalidField, /networkMagic/);
+      });
+
+      it('exports and imports every network but the root network', function() {
+        var exported = registry.exportAll();
+        exported.format.should.equal(1);
+        lodash.map(exported.networks, 'name').should.deep.equal(['jsonnet']);
+
+        var other = Networks.createRegistry();
+        var imported = other.importAll(JSON.stringify(exported));
+        imported.length.should.equal(1);
+        other.get('jsonnet').should.equal(imported[0]);
+        other.exportAll().should.deep.equal(exported);
+      });
+
+      it('rejects an unknown export format', function() {
+        expect(function() {
+          registry.importAll({format: 2, networks: []});
+        }).to.throw(owsCommon.errors.InvalidArgument);
+      });
+
+    });
+
+    describe('snapshots', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        var testnet = definition({
+          name: 'snptest',
+          currency: 'SNP',
+          alias: 'testnet',
+          prefix: {pubkeyhash: 0x20},
+          bytes: 0x20
+        });
+        testnet.regtest = {
+          networkMagic: 0x01020307,
+          port: 18447
+        };
+        registry = Networks.createRegistry();
+        registry.add([definition({name: 'snpnet', currency: 'SNP', prefix: {pubkeyhash: 0x10}, bytes: 0x10}), testnet]);
+      });
+
+      it('restores the networks and the index', function() {
+        var handle = registry.snapshot();
+        var before = registry.getFiltered();
+        registry.add(definition({name: 'snpextra', currency: 'SNP', prefix: {pubkeyhash: 0x30}, bytes: 0x30}));
+        registry.remove(registry.get('snpnet'));
+        registry.enableRegtest();
+
+        registry.restore(handle);
+        registry.getFiltered().should.deep.equal(before);
+        registry.get(0x10).name.should.equal('snpnet');
+        registry.get(0x20).name.should.equal('snptest');
+        should.not.exist(registry.get('snpextra'));
+        should.not.exist(registry.get(0x30));
+      });
+
+      it('restores a snapshot more than once', function() {
+        var handle = registry.snapshot();
+        registry.add(definition({name: 'snpextra', currency: 'SNP', prefix: {pubkeyhash: 0x30}, bytes: 0x30}));
+        registry.restore(handle);
+        registry.add(definition({name: 'snpextra', currency: 'SNP', prefix: {pubkeyhash: 0x30}, bytes: 0x30}));
+        registry.enableRegtest();
+        registry.get(0x20).name.should.equal('snptest-regtest');
+        registry.restore(handle);
+        registry.getFiltered().length.should.equal(4);
+        registry.get(0x20).name.should.equal('snptest');
+      });
+
+      it('restores the default networks', function() {
+        var handle = registry.snapshot();
+        registry.setDefault('testnet', {currency: 'SNP'});
+        registry.setDefault('snpnet');
+
+        var listener = sinon.spy();
+        registry.on('defaultChanged', listener);
+        registry.restore(handle);
+        registry.getDefault('SNP').name.should.equal('snpnet');
+        registry.defaultNetwork.name.should.equal('root');
+        listener.callCount.should.equal(2);
+      });
+
+      it('emits the networks added and removed by restoring', function() {
+        var handle = registry.snapshot();
+        var snpnet = registry.get('snpnet');
+        var extra = registry.add(definition({
+          name: 'snpextra',
+          currency: 'SNP',
+          prefix: {pubkeyhash: 0x30},
+          bytes: 0x30
+        }))[0];
+        registry.remove(snpnet);
+
+        var listener = sinon.spy();
+        registry.onChange(listener);
+        registry.restore(handle);
+        listener.calledWith('removed', [extra]).should.equal(true);
+        listener.calledWith('added', [snpnet]).should.equal(true);
+      });
+
+      it('only restores snapshots of the registry', function() {
+        var handle = Networks.createRegistry().snapshot();
+        (function() {
+          registry.restore(handle);
+        }).should.throw('not a snapshot of this registry');
+        (function() {
+          registry.restore({});
+        }).should.throw('not a snapshot of this registry');
+      });
+
+      it('adds networks for the duration of a function', function() {
+        var result = Networks.withNetworks(definition({
+          name: 'snptemp',
+          currency: 'SNP',
+          prefix: {pubkeyhash: 0x40},
+          bytes: 0x40
+        }), function(networks) {
+          networks[0].name.should.equal('snptemp');
+          Networks.get('snptemp').should.equal(networks[0]);
+          return 'done';
+        });
+        result.should.equal('done');
+        should.not.exist(Networks.get('snptemp'));
+        should.not.exist(Networks.get(0x40));
+      });
+
+      it('restores the registry when the function throws', function() {
+        (function() {
+          registry.withNetworks(definition({
+            name: 'snptemp',
+            currency: 'SNP',
+            prefix: {pubkeyhash: 0x40},
+            bytes: 0x40
+          }), function() {
+            throw new Error('test failure');
+          });
+        }).should.throw('test failure');
+        should.not.exist(registry.get('snptemp'));
+      });
+
+      it('adds networks for the duration of an async function', function() {
+        var promise = registry.withNetworks(definition({
+          name: 'snptemp',
+          currency: 'SNP',
+          prefix: {pubkeyhash: 0x40},
+          bytes: 0x40
+        }), function() {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve(registry.get('snptemp').name);
+            }, 0);
+          });
+        });
+        registry.get('snptemp').name.should.equal('snptemp');
+        return promise.then(function(name) {
+          name.should.equal('snptemp');
+          should.not.exist(registry.get('snptemp'));
+        });
+      });
+
+      it('restores the registry when the async function fails', function() {
+        return registry.withNetworks(definition({
+          name: 'snptemp',
+          currency: 'SNP',
+          prefix: {pubkeyhash: 0x40},
+          bytes: 0x40
+        }), function() {
+          return Promise.reject(new Error('test failure'));
+        }).then(function() {
+          throw new Error('expected a failure');
+        }, function(error) {
+          error.message.should.equal('test failure');
+          should.not.exist(registry.get('snptemp'));
+        });
+      });
+
+    });
+
+    describe('#remove', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+      });
+
+      it('indexes a value again for a network it was taken from', function() {
+        var first = registry.add(definition({
+          name: 'rmfirst',
+          currency: 'RMA',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        }))[0];
+        var second = registry.add(definition({
+          name: 'rmsecond',
+          currency: 'RMB',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x20
+        }))[0];
+        registry.get(0x50).should.equal(second);
+        registry.remove(second);
+        registry.get(0x50).should.equal(first);
+        registry.remove(first);
+        should.not.exist(registry.get(0x50));
+      });
+
+      it('indexes a value again as required by the collision policy', function() {
+        var first = registry.add(definition({
+          name: 'rmfirst',
+          currency: 'RMA',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        }))[0];
+        var second = registry.add(definition({
+          name: 'rmsecond',
+          currency: 'RMB',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x20
+        }), {collision: 'keep-first'})[0];
+        var third = registry.add(definition({
+          name: 'rmthird',
+          currency: 'RMC',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x30
+        }), {collision: 'keep-first'})[0];
+        registry.get(0x50).should.equal(first);
+        registry.remove(first);
+        registry.get(0x50).should.equal(second);
+        registry.remove(second);
+        registry.get(0x50).should.equal(third);
+      });
+
+      it('keeps the index of a network with the same definition as a removed network', function() {
+        var first = registry.add(definition({
+          name: 'rmsame',
+          currency: 'RMA',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        }))[0];
+        var second = registry.add(definition({
+          name: 'rmsame',
+          currency: 'RMA',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        }), {collision: 'keep-first'})[0];
+        registry.remove(first);
+        registry.getFiltered({currency: 'RMA'}).should.deep.equal([second]);
+        registry.get(0x50).should.equal(second);
+        registry.get(0x10, 'version.xpubkey.bytes').should.equal(second);
+      });
+
+      it('removes networks by name or predicate', function() {
+        registry.add([
+          definition({name: 'rmfirst', currency: 'RMA', prefix: {pubkeyhash: 0x50}, bytes: 0x10}),
+          definition({name: 'rmsecond', currency: 'RMB', prefix: {pubkeyhash: 0x50}, bytes: 0x20}),
+          definition({name: 'rmthird', currency: 'RMB', alias: 'testnet', prefix: {pubkeyhash: 0x50}, bytes: 0x30})
+        ], {collision: 'multi'});
+
+        lodash.map(registry.remove('rmfirst'), 'name').should.deep.equal(['rmfirst']);
+        lodash.map(registry.remove(function(network) {
+          return network.currency === 'RMB';
+        }), 'name').should.deep.equal(['rmsecond', 'rmthird']);
+        registry.getFiltered().length.should.equal(1);
+        should.not.exist(registry.get(0x50));
+        should.not.exist(registry.get(0x30));
+      });
+
+      it('returns and emits the removed networks', function() {
+        var testnet = definition({
+          name: 'rmtest',
+          currency: 'RMA',
+          alias: 'testnet',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        });
+        testnet.regtest = {
+          networkMagic: 0x01020308,
+          port: 18448
+        };
+        var added = registry.add(testnet);
+        var listener = sinon.spy();
+        registry.on('removed', listener);
+
+        registry.remove('rmunknown').should.deep.equal([]);
+        listener.called.should.equal(false);
+        registry.remove(added[0]).should.deep.equal(added);
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args[0].should.deep.equal(added);
+      });
+
+      it('keeps the regtest variant enabled for the values it shares', function() {
+        var testnet = definition({
+          name: 'rmtest',
+          currency: 'RMA',
+          alias: 'testnet',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x10
+        });
+        testnet.regtest = {
+          networkMagic: 0x01020309,
+          port: 18449
+        };
+        var regtest = registry.add(testnet)[1];
+        registry.enableRegtest();
+        var other = registry.add(definition({
+          name: 'rmother',
+          currency: 'RMB',
+          prefix: {pubkeyhash: 0x50},
+          bytes: 0x20
+        }))[0];
+        registry.get(0x50).should.equal(other);
+        registry.remove(other);
+        registry.get(0x50).should.equal(regtest);
+        registry.disableRegtest();
+        registry.get(0x50).name.should.equal('rmtest');
+      });
+
+    });
+
+    describe('default network', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({name: 'dfa', currency: 'DFA', protocol: 'dfa', bytes: 0x0278b217}),
+          definition({name: 'dfatest', currency: 'DFA', alias: 'testnet', protocol: 'dfa', bytes: 0x0278b217}),
+          definition({name: 'dfb', currency: 'DFB', protocol: 'dfb', bytes: 0x0278b217}),
+          definition({name: 'dfbtest', currency: 'DFB', alias: 'testnet', protocol: 'dfb', bytes: 0x0278b217})
+        ], {collision: 'multi'});
+      });
+
+      it('defaults to the root network', function() {
+        registry.getDefault().should.equal(registry.get('root'));
+        registry.defaultNetwork.should.equal(registry.get('root'));
+      });
+
+      it('defaults to the livenet network of a currency', function() {
+        registry.getDefault('DFA').should.equal(registry.get('dfa'));
+        should.not.exist(registry.getDefault('NONE'));
+      });
+
+      it('sets a default network per currency', function() {
+        var listener = sinon.spy();
+        registry.on('defaultChanged', listener);
+        registry.setDefault('testnet', {currency: 'DFA'}).should.equal(registry.get('dfatest'));
+        registry.getDefault('DFA').should.equal(registry.get('dfatest'));
+        registry.getDefault('DFB').should.equal(registry.get('dfb'));
+        registry.getDefault().should.equal(registry.get('root'));
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args.should.deep.equal([registry.get('dfatest'), registry.get('dfa'), 'DFA']);
+      });
+
+      it('sets the default network', function() {
+        registry.setDefault('dfbtest');
+        registry.defaultNetwork.should.equal(registry.get('dfbtest'));
+        registry.getDefault('DFB').should.equal(registry.get('dfbtest'));
+        registry.defaultNetwork = registry.get('dfa');
+        registry.getDefault().should.equal(registry.get('dfa'));
+        registry.getDefault('DFB').should.equal(registry.get('dfb'));
+      });
+
+      it('rejects an unknown network or a network of another currency', function() {
+        expect(function() {
+          registry.setDefault('nonet');
+        }).to.throw(owsCommon.errors.InvalidArgument);
+        expect(function() {
+          registry.setDefault('dfbtest', {currency: 'DFA'});
+        }).to.throw(owsCommon.errors.InvalidArgument, /dfbtest is not a DFA network/);
+      });
+
+      it('clears a default network when it is removed', function() {
+        var listener = sinon.spy();
+        var testnet = registry.setDefault('testnet', {currency: 'DFA'});
+        registry.on('defaultChanged', listener);
+        registry.remove(testnet);
+        registry.getDefault('DFA').should.equal(registry.get('dfa'));
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args.should.deep.equal([registry.get('dfa'), testnet, 'DFA']);
+      });
+
+      it('falls back to the root network when the default network is removed', function() {
+        var listener = sinon.spy();
+        var network = registry.setDefault('dfb');
+        registry.on('defaultChanged', listener);
+        registry.remove(network);
+        registry.getDefault().should.equal(registry.get('root'));
+        registry.defaultNetwork.should.equal(registry.get('root'));
+        listener.calledOnce.should.equal(true);
+        listener.firstCall.args.should.deep.equal([registry.get('root'), network, undefined]);
+      });
+
+    });
+
+  });
+
+  describe('lookups', function() {
+
+    describe('#getAll', function() {
+
+      before(function() {
+        Networks.add([
+          definition({
+            name: 'alla',
+            currency: 'ALLA',
+            prefix: {pubkeyhash: 0x21, privatekey: 0xef},
+            port: 0xef,
+            bytes: 0x0278b212
+          }),
+          definition({
+            name: 'allb',
+            currency: 'ALLB',
+            prefix: {pubkeyhash: 0xef, privatekey: 0xef},
+            port: 20011,
+            bytes: 0x0278b212
+          }),
+          definition({
+            name: 'allc',
+            currency: 'ALLC',
+            prefix: {pubkeyhash: 0x22, privatekey: 0xef},
+            port: 20012,
+            bytes: 0x0278b212
+          })
+        ], {collision: 'multi'});
+      });
+
+      after(function() {
+        ['alla', 'allb', 'allc'].forEach(function(name) {
+          Networks.remove(Networks.get(name));
+        });
+      });
+
+      function names(list) {
+        return lodash.map(list, 'name');
+      }
+
+      it('returns every network sharing a value', function() {
+        names(Networks.getAll(0xef, 'prefix.privatekey')).should.deep.equal(['alla', 'allb', 'allc']);
+      });
+
+      it('ranks networks by the key that matched', function() {
+        names(Networks.getAll(0xef, ['prefix.pubkeyhash', 'port'])).should.deep.equal(['allb', 'alla']);
+        // Networks.indexAll lists 'port' before the prefixes.
+        names(Networks.getAll(0xef)).should.deep.equal(['alla', 'allb', 'allc']);
+      });
+
+      it('ranks networks of the preferred currency first', function() {
+        names(Networks.getAll(0xef, null, 'ALLC')).should.deep.equal(['allc', 'alla', 'allb']);
+      });
+
+      it('returns an empty list when nothing matches', function() {
+        Networks.getAll(0x23, 'prefix.pubkeyhash').should.deep.equal([]);
+      });
+
+    });
+
+    describe('#getFiltered', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({
+            name: 'qzlive',
+            currency: 'QZ',
+            description: 'QZLIVE',
+            port: 1000,
+            dnsSeeds: ['seed.qz'],
+            bytes: 0x10
+          }),
+          definition({
+            name: 'qztest',
+            currency: 'QZ',
+            alias: 'testnet',
+            description: 'QZTEST',
+            port: 2000,
+            dnsSeeds: ['seed.qztest'],
+            bytes: 0x20
+          }),
+          definition({
+            name: 'qatest',
+            currency: 'QA',
+            alias: 'testnet',
+            description: 'QATEST',
+            port: 3000,
+            dnsSeeds: ['seed.qatest'],
+            bytes: 0x30
+          }),
+          definition({
+            name: 'qbtest',
+            currency: 'QB',
+            alias: 'testnet',
+            description: 'QBTEST',
+            dnsSeeds: ['seed.qbtest'],
+            bytes: 0x40
+          })
+        ]);
+      });
+
+      function names(networks) {
+        return lodash.map(networks, 'name');
+      }
+
+      it('returns a copy of the networks', function() {
+        var all = registry.getFiltered();
+        all.length.should.equal(5);
+        all.pop();
+        registry.getFiltered().length.should.equal(5);
+        registry.getFiltered({}).length.should.equal(5);
+      });
+
+      it('matches values as before', function() {
+        names(registry.getFiltered({currency: 'QZ'})).should.deep.equal(['qzlive', 'qztest']);
+        names(registry.getFiltered({version: {xpubkey: {text: 'qatestpub'}}})).should.deep.equal(['qatest']);
+      });
+
+      it('matches values of nested keys', function() {
+        names(registry.getFiltered({'version.xpubkey.text': 'qztestpub'})).should.deep.equal(['qztest']);
+        names(registry.getFiltered({'version.xprivkey.bytes': 0x11, currency: 'QZ'})).should.deep.equal(['qzlive']);
+        registry.getFiltered({'version.xprivkey.bytes': 0x11, currency: 'QA'}).should.deep.equal([]);
+      });
+
+      it('filters using a predicate', function() {
+        names(registry.getFiltered(function(network) {
+          return network.port > 1500;
+        })).should.deep.equal(['qztest', 'qatest']);
+      });
+
+      it('filters using operators', function() {
+        names(registry.getFiltered({currency: {$in: ['QA', 'QB']}})).should.deep.equal(['qatest', 'qbtest']);
+        names(registry.getFiltered({currency: {$nin: ['QZ', 'NA']}})).should.deep.equal(['qatest', 'qbtest']);
+        names(registry.getFiltered({alias: {$ne: 'testnet'}, currency: {$eq: 'QZ'}})).should.deep.equal(['qzlive']);
+        names(registry.getFiltered({'version.xpubkey.text': {$in: ['qzlivepub', 'xpub']}}))
+          .should.deep.equal(['qzlive']);
+        names(registry.getFiltered({port: {$exists: false}})).should.deep.equal(['root', 'qbtest']);
+        names(registry.getFiltered({port: {$exists: true, $ne: 1000}})).should.deep.equal(['qztest', 'qatest']);
+      });
+
+      it('throws on an unknown operator', function() {
+        (function() {
+          registry.getFiltered({port: {$gt: 1000}});
+        }).should.throw('unknown operator $gt');
+      });
+
+      it('sorts and limits the networks', function() {
+        var filter = {alias: 'testnet', port: {$exists: true}, dnsSeeds: {$exists: true}};
+        names(registry.getFiltered(filter, {sort: 'description'})).should.deep.equal(['qatest', 'qztest']);
+        names(registry.getFiltered(filter, {sort: 'description', order: 'desc'}))
+          .should.deep.equal(['qztest', 'qatest']);
+        names(registry.getFiltered(filter, {sort: 'port'})).should.deep.equal(['qztest', 'qatest']);
+        names(registry.getFiltered({alias: 'testnet'}, {sort: ['currency'], limit: 2})).should.deep.equal([
+          'qatest',
+          'qbtest'
+        ]);
+        names(registry.getFiltered(null, {sort: 'version.xpubkey.bytes', order: 'desc', limit: 1}))
+          .should.deep.equal(['root']);
+        registry.getFiltered(null, {limit: 0}).should.deep.equal([]);
+        (function() {
+          registry.getFiltered(null, {limit: -1});
+        }).should.throw('must be a natural number');
+      });
+
+    });
+
+    describe('indexed lookups', function() {
+
+      var registry;
+      var first;
+      var second;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        var added = registry.add([
+          definition({
+            name: 'lkfirst',
+            currency: 'LKA',
+            prefix: {pubkeyhash: 0x60, privatekey: 0x10},
+            port: 0x10,
+            bytes: 0x10
+          }),
+          definition({
+            name: 'lksecond',
+            currency: 'LKB',
+            prefix: {pubkeyhash: 0x60, privatekey: 0x20},
+            port: 0x20,
+            bytes: 0x20
+          })
+        ], {collision: 'multi'});
+        first = added[0];
+        second = added[1];
+      });
+
+      it('falls back to a network of another currency', function() {
+        registry.get(0x60, 'prefix.pubkeyhash', 'LKB').should.equal(second);
+        registry.get(0x60, 'prefix.pubkeyhash', 'LKC').should.equal(first);
+        registry.get(0x20, ['prefix.privatekey', 'port'], 'LKC').should.equal(second);
+      });
+
+      it('prefers a network of the preferred currency using any indexed key', function() {
+        registry.get(0x60).should.equal(first);
+        registry.get(0x60, undefined, 'LKB').should.equal(second);
+        registry.get('lksecondpub', undefined, 'LKB').should.equal(second);
+        registry.get(0x60, undefined, 'LKC').should.equal(first);
+      });
+
+      it('returns the network added first matching one of the keys', function() {
+        registry.get(0x20, ['port', 'prefix.privatekey']).should.equal(second);
+        registry.get(0x10, ['version.xpubkey.bytes', 'port']).should.equal(first);
+        registry.get(0x11, ['port', 'version.xprivkey.bytes']).should.equal(first);
+      });
+
+      it('compares values strictly', function() {
+        should.not.exist(registry.get('16', 'port'));
+        registry.get(16, 'port').should.equal(first);
+      });
+
+      it('keeps the indexes up to date', function() {
+        registry.get(0x30, 'port', 'LKC');
+        should.not.exist(registry.get(0x30, 'port'));
+        var third = registry.add(definition({
+          name: 'lkthird',
+          currency: 'LKC',
+          prefix: {pubkeyhash: 0x60, privatekey: 0x30},
+          port: 0x30,
+          bytes: 0x30
+        }), {collision: 'multi'})[0];
+        registry.get(0x30, 'port').should.equal(third);
+        registry.get(0x60, 'prefix.pubkeyhash', 'LKC').should.equal(third);
+
+        registry.remove(first);
+        registry.get(0x60, 'prefix.pubkeyhash').should.equal(second);
+        should.not.exist(registry.get(0x10, 'port'));
+        should.not.exist(registry.get(first));
+        registry.get(third).should.equal(third);
+      });
+
+      it('keeps the indexes up to date when a snapshot is restored', function() {
+        var handle = registry.snapshot();
+        registry.remove(first);
+        registry.get(0x60, 'prefix.pubkeyhash').should.equal(second);
+        registry.restore(handle);
+        registry.get(0x60, 'prefix.pubkeyhash').should.equal(first);
+        registry.get(first).should.equal(first);
+      });
+
+      it('returns each of several networks with the same definition', function() {
+        var copy = registry.add(definition({
+          name: 'lkfirst',
+          currency: 'LKA',
+          prefix: {pubkeyhash: 0x60, privatekey: 0x10},
+          port: 0x10,
+          bytes: 0x10
+        }), {collision: 'multi'})[0];
+        registry.getAll(0x10, 'port').should.deep.equal([first, copy]);
+        registry.getAll(0x60).length.should.equal(registry.getFiltered({'prefix.pubkeyhash': 0x60}).length);
+      });
+
+      it('does not return networks of other registries', function() {
+        var other = Networks.createRegistry();
+        var copy = other.add(definition({
+          name: 'lkfirst',
+          currency: 'LKA',
+          prefix: {pubkeyhash: 0x60, privatekey: 0x10},
+          port: 0x10,
+          bytes: 0x10
+        }))[0];
+        should.not.exist(registry.get(copy, 'name'));
+        registry.getAll(copy).should.deep.equal([]);
+        registry.get('lkfirst').should.equal(first);
+      });
+
+    });
+
+    describe('protocols', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({name: 'pra', currency: 'PRA', protocol: 'pra', bytes: 0x0278b218}),
+          definition({name: 'pratest', currency: 'PRA', alias: 'testnet', protocol: 'pra', bytes: 0x0278b218}),
+          definition({name: 'prb', currency: 'PRB', protocol: 'prb', bytes: 0x0278b218}),
+          definition({name: 'prc', currency: 'PRC', protocol: 'prb', bytes: 0x0278b218})
+        ], {collision: 'multi'});
+      });
+
+      it('returns the distinct protocols', function() {
+        registry.getProtocols().should.deep.equal(['pra', 'prb']);
+        registry.getProtocols({currency: 'PRC'}).should.deep.equal(['prb']);
+        registry.getProtocols({alias: 'testnet'}).should.deep.equal(['pra']);
+        Networks.createRegistry().getProtocols().should.deep.equal([]);
+      });
+
+      it('gets a network by protocol and alias', function() {
+        registry.getByProtocol('pra:').should.equal(registry.get('pra'));
+        registry.getByProtocol('PRA', 'testnet').should.equal(registry.get('pratest'));
+        should.not.exist(registry.getByProtocol('prd'));
+      });
+
+      it('gets the default network of the currency using a protocol', function() {
+        registry.setDefault('testnet', {currency: 'PRA'});
+        registry.getByProtocol('pra').should.equal(registry.get('pratest'));
+        registry.getByProtocol('pra', 'livenet').should.equal(registry.get('pra'));
+      });
+
+      it('prefers a network with the preferred currency', function() {
+        registry.getByProtocol('prb').should.equal(registry.get('prb'));
+        registry.getByProtocol('prb', 'livenet', 'PRC').should.equal(registry.get('prc'));
+        registry.getByProtocol('prb', null, 'PRD').should.equal(registry.get('prb'));
+      });
+
+    });
+
+    describe('#detect', function() {
+
+      var Base58Check = owsCommon.encoding.Base58Check;
+
+      function encode(prefix, length) {
+        var buffer = Buffer.alloc(length, 1);
+        if (length === 78) {
+          buffer.writeUInt32BE(prefix, 0);
+        } else {
+          buffer[0] = prefix;
+        }
+        return Base58Check.encode(buffer);
+      }
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({
+            name: 'detnet',
+            currency: 'DET',
+            prefix: {pubkeyhash: 0x1c, scripthash: 0x1d, privatekey: 0x9c, bech32: 'bc'},
+            bytes: 0x0278c000
+          }),
+          definition({
+            name: 'dettest',
+            currency: 'DET',
+            alias: 'testnet',
+            prefix: {pubkeyhash: 0x1e, scripthash: 0x1f, privatekey: 0x9e, bech32: 'tb'},
+            bytes: 0x0278c010
+          }),
+          definition({
+            name: 'detother',
+            currency: 'OTH',
+            prefix: {pubkeyhash: 0x2c, scripthash: 0x1c, privatekey: 0x9e},
+            bytes: 0x0278c020
+          })
+        ], {collision: 'multi'});
+      });
+
+      it('detects a P2PKH or P2SH address', function() {
+        var detected = registry.detect(encode(0x1e, 21));
+        detected.network.should.equal(registry.get('dettest'));
+        detected.kind.should.equal('pubkeyhash');
+        detected.candidates.should.deep.equal([registry.get('dettest')]);
+        detected.ambiguous.should.equal(false);
+        registry.detect(encode(0x1d, 21)).kind.should.equal('scripthash');
+      });
+
+      it('detects the kind of address by the first candidate', function() {
+        var detected = registry.detect(encode(0x1c, 21));
+        detected.network.name.should.equal('detnet');
+        detected.kind.should.equal('pubkeyhash');
+        detected.candidates.length.should.equal(1);
+
+        detected = registry.detect(encode(0x1c, 21), 'OTH');
+        detected.network.name.should.equal('detother');
+        detected.kind.should.equal('scripthash');
+      });
+
+      it('detects a WIF private key', function() {
+        registry.detect(encode(0x9c, 33)).kind.should.equal('privatekey');
+        var buffer = Buffer.alloc(34, 1);
+        buffer[0] = 0x9c;
+        registry.detect(Base58Check.encode(buffer)).network.name.should.equal('detnet');
+        buffer[33] = 2;
+        should.not.exist(registry.detect(Base58Check.encode(buffer)));
+      });
+
+      it('flags networks sharing a prefix as ambiguous', function() {
+        var detected = registry.detect(encode(0x9e, 33));
+        detected.candidates.should.deep.equal([registry.get('dettest'), registry.get('detother')]);
+        detected.ambiguous.should.equal(true);
+        registry.detect(encode(0x9e, 33), 'OTH').network.name.should.equal('detother');
+      });
+
+      it('detects an extended key', function() {
+        var detected = registry.detect(encode(0x0278c011, 78));
+        detected.network.name.should.equal('dettest');
+        detected.kind.should.equal('xprivkey');
+        registry.detect(encode(0x0278c020, 78)).kind.should.equal('xpubkey');
+      });
+
+      it('detects a bech32 or bech32m address', function() {
+        var detected = registry.detect('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4');
+        detected.network.name.should.equal('detnet');
+        detected.kind.should.equal('bech32');
+        registry.detect('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7').network.name
+          .should.equal('dettest');
+        registry.detect('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0').kind.should.equal('bech32');
+      });
+
+      it('verifies the checksum', function() {
+        should.not.exist(registry.detect('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'));
+        var address = encode(0x1c, 21);
+        var last = address.slice(-1) === '2' ? '3' : '2';
+        should.not.exist(registry.detect(address.slice(0, -1) + last));
+      });
+
+      it('does not detect unknown strings or prefixes', function() {
+        should.not.exist(registry.detect('detnet'));
+        should.not.exist(registry.detect(encode(0x1c, 22)));
+        should.not.exist(registry.detect(encode(0x50, 21)));
+        should.not.exist(registry.detect('ltc1qw508d6qejxtdg4y5r3zarvary0c5xw7kgmn4n9'));
+        should.not.exist(registry.detect(42));
+      });
+
+      it('gets the network of a valid string', function() {
+        registry.get(encode(0x1e, 21)).name.should.equal('dettest');
+        registry.get(encode(0x0278c000, 78)).network.name.should.equal('detnet');
+        var xkey = encode(0x0278c000, 78);
+        should.not.exist(registry.get(xkey.slice(0, -1) + (xkey.slice(-1) === '2' ? '3' : '2')));
+      });
+
+    });
+
+    describe('shared prefixes', function() {
+
+      var registry;
+
+      beforeEach(function() {
+        var testnet = definition({
+          name: 'shrtest',
+          currency: 'SHR',
+          alias: 'testnet',
+          prefix: {pubkeyhash: 0x6f, privatekey: 0xef, bech32: 'sht'},
+          bytes: 0x20
+        });
+        testnet.regtest = {
+          prefix: {bech32: 'shrt'},
+          networkMagic: 0x01020305,
+          port: 18445
+        };
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({
+            name: 'shrnet',
+            currency: 'SHR',
+            prefix: {pubkeyhash: 0x3f, privatekey: 0xef, scripthash: 0x05},
+            bytes: 0x10
+          }),
+          testnet,
+          definition({
+            name: 'shrother',
+            currency: 'SHR',
+            prefix: {pubkeyhash: 0x3e, privatekey: 0x80, scripthash: 0x05},
+            bytes: 0x30
+          })
+        ], {collision: 'multi'});
+      });
+
+      it('reports the prefix values used by several networks', function() {
+        var shared = registry.getSharedPrefixes();
+        var regtest = registry.get('shrtest-regtest');
+        lodash.keys(shared).should.deep.equal([
+          'prefix.pubkeyhash',
+          'prefix.privatekey',
+          'prefix.scripthash',
+          'prefix.bech32',
+          'prefix.cashaddr'
+        ]);
+        shared['prefix.pubkeyhash'].should.deep.equal([{value: 0x6f, networks: [registry.get('shrtest'), regtest]}]);
+        shared['prefix.privatekey'].should.deep.equal([{
+          value: 0xef,
+          networks: [registry.get('shrnet'), registry.get('shrtest'), regtest]
+        }]);
+        lodash.map(shared['prefix.scripthash'][0].networks, 'name').should.deep.equal(['shrnet', 'shrother']);
+        shared['prefix.bech32'].should.deep.equal([]);
+      });
+
+      it('tests whether a prefix value is shared', function() {
+        registry.isSharedPrefix(0xef, 'prefix.privatekey').should.equal(true);
+        registry.isSharedPrefix(0x80, 'prefix.privatekey').should.equal(false);
+        registry.isSharedPrefix(0x3f, 'prefix.pubkeyhash').should.equal(false);
+        registry.isSharedPrefix(0x6f, 'prefix.pubkeyhash').should.equal(true);
+        registry.isSharedPrefix(0x6f, 'prefix.pubkeyHash').should.equal(false);
+        registry.isSharedPrefix(0x05, 'prefix.scripthash').should.equal(true);
+        Networks.createRegistry().isSharedPrefix(0xef, 'prefix.privatekey').should.equal(false);
+      });
+
+      it('reports prefixes shared with networks added later', function() {
+        registry.isSharedPrefix(0x80, 'prefix.privatekey').should.equal(false);
+        registry.add(definition({
+          name: 'shrlater',
+          currency: 'SHR',
+          prefix: {privatekey: 0x80},
+          bytes: 0x40
+        }), {collision: 'multi'});
+        registry.isSharedPrefix(0x80, 'prefix.privatekey').should.equal(true);
+        registry.remove(registry.get('shrlater'));
+        registry.isSharedPrefix(0x80, 'prefix.privatekey').should.equal(false);
+      });
+
+      it('keeps the shared prefixes up to date when a snapshot is restored', function() {
+        var handle = registry.snapshot();
+        registry.remove('shrother');
+        registry.isSharedPrefix(0x05, 'prefix.scripthash').should.equal(false);
+        registry.restore(handle);
+        registry.isSharedPrefix(0x05, 'prefix.scripthash').should.equal(true);
+      });
+
+      it('returns shared prefixes that may be modified', function() {
+        var shared = registry.getSharedPrefixes();
+        shared['prefix.privatekey'][0].networks.pop();
+        shared['prefix.scripthash'].pop();
+        registry.getSharedPrefixes()['prefix.privatekey'][0].networks.length.should.equal(3);
+        registry.isSharedPrefix(0x05, 'prefix.scripthash').should.equal(true);
+      });
+
+    });
+
+  });
+
+  describe('definitions', function() {
+
+    describe('definition validation', function() {
+
+      function validDefinition() {
+        return {
+          currency: 'VAL',
+          description: 'validnet',
+          name: 'validnet',
+          alias: 'livenet',
+          coinIndex: 0x81234568,
+          protocol: 'validnet',
+          prefix: {
+            pubkeyhash: 0x14,
+            privatekey: 0x94,
+            scripthash: 0x12
+          },
+          version: {
+            xpubkey: {
+              bytes: 0x0278b210,
+              text: 'vpub'
+            },
+            xprivkey: {
+              bytes: 0x0278ade6,
+              text: 'vprv'
+            }
+          },
+          networkMagic: 0xe7beb4d6,
+          port: 20010,
+          dnsSeeds: ['validnet.localhost']
+        };
+      }
+
+      it('reports no problems for a valid definition', function() {
+        Networks.validate(validDefinition()).should.deep.equal([]);
+      });
+
+      it('accepts a definition without the optional fields', function() {
+        var def = validDefinition();
+        delete def.currency;
+        delete def.alias;
+        delete def.protocol;
+        def.version.xpubkey = 0x0278b210;
+        Networks.validate(def).should.deep.equal([]);
+      });
+
+      it('reports a missing required field', function() {
+        var def = validDefinition();
+        delete def.name;
+        var problems = Networks.validate(def);
+        problems.length.should.equal(1);
+        problems[0].should.be.an.instanceof(owsCommon.errors.Network.MissingField);
+        problems[0].field.should.equal('name');
+        problems[0].network.should.equal('(unnamed)');
+      });
+
+      it('reports every invalid field at once', function() {
+        var def = validDefinition();
+        def.coinIndex = '0';
+        def.prefix.pubkeyhash = 0x100;
+        def.version.xpubkey.bytes = -1;
+        def.port = 70000;
+        def.dnsSeeds = [1];
+        var problems = Networks.validate(def);
+        lodash.map(problems, 'field').should.deep.equal([
+          'coinIndex',
+          'prefix.pubkeyhash',
+          'version.xpubkey.bytes',
+          'port',
+          'dnsSeeds'
+        ]);
+        problems.forEach(function(p) {
+          p.should.be.an.instanceof(owsCommon.errors.Network.InvalidField);
+          p.network.should.equal('validnet');
+          p.message.should.contain(p.field);
+          p.message.should.contain('validnet');
+        });
+      });
+
+      it('does not check the children of an invalid field', function() {
+        var def = validDefinition();
+        def.version.xprivkey = 'vprv';
+        lodash.map(Networks.validate(def), 'field').should.deep.equal(['version.xprivkey']);
+      });
+
+      it('reports a definition that is not an object', function() {
+        var problems = Networks.validate('validnet');
+        problems.length.should.equal(1);
+        problems[0].should.be.an.instanceof(owsCommon.errors.Network.InvalidDefinition);
+      });
+
+      it('throws and does not register an invalid network', function() {
+        var valid = validDefinition();
+        var invalid = validDefinition();
+        invalid.name = 'invalidnet';
+        delete invalid.coinIndex;
+        expect(function() {
+          Networks.add([valid, invalid]);
+        }).to.throw(owsCommon.errors.Network.MissingField, /coinIndex.*invalidnet/);
+        should.not.exist(Networks.get('validnet'));
+        should.not.exist(Networks.get('invalidnet'));
+      });
+
+    });
+
+    describe('index collisions', function() {
+
+      var colla = {
+        name: 'colla',
+        currency: 'COLLA',
+        prefix: {pubkeyhash: 0x6f, privatekey: 0xef, scripthash: 0xc4},
+        bytes: 0x0278b211
+      };
+      var collb = lodash.defaults({name: 'collb', currency: 'COLLB'}, colla);
+
+      var first;
+      var second;
+
+      afterEach(function() {
+        Networks.remove(first);
+        Networks.remove(second);
+      });
+
+      function addBoth(policy) {
+        Networks.add(definition(colla));
+        Networks.add(definition(collb), {collision: policy});
+        first = Networks.get('colla');
+        second = Networks.get('collb');
+      }
+
+      it('throws a report of the colliding networks and keys', function() {
+        Networks.add(definition(colla));
+        first = Networks.get('colla');
+        var error;
+        try {
+          Networks.add(definition(collb), {collision: 'throw'});
+        } catch (e) {
+          error = e;
+        }
+        error.should.be.an.instanceof(owsCommon.errors.Network.Collision);
+        error.message.should.contain('111 used by colla (prefix.pubkeyhash), collb (prefix.pubkeyhash)');
+        lodash.map(error.collisions, 'value').should.deep.equal([0x6f, 0xef, 0xc4, 0x0278b211, 0x0278b212]);
+        error.collisions[0].networks[0].network.should.equal(first);
+        error.collisions[0].networks[1].key.should.equal('prefix.pubkeyhash');
+        should.not.exist(Networks.get('collb'));
+      });
+
+      it('detects collisions within the networks being added', function() {
+        expect(function() {
+          Networks.add([
+            definition(colla),
+            definition(collb)
+          ], {collision: 'throw'});
+        }).to.throw(owsCommon.errors.Network.Collision);
+        should.not.exist(Networks.get('colla'));
+      });
+
+      it('emits the collisions and lets the last network win by default', function() {
+        var listener = sinon.spy();
+        Networks.on('collision', listener);
+        try {
+          addBoth();
+        } finally {
+          Networks.removeListener('collision', listener);
+        }
+        listener.calledOnce.should.equal(true);
+        var collisions = listener.firstCall.args[0];
+        lodash.map(collisions, 'value').should.deep.equal([0x6f, 0xef, 0xc4, 0x0278b211, 0x0278b212]);
+        collisions[1].networks[1].should.deep.equal({network: second, key: 'prefix.privatekey'});
+        Networks.get(0x6f).should.equal(second);
+      });
+
+      it('does not write to the console', function() {
+        var warn = sinon.stub(console, 'warn');
+        try {
+          addBoth();
+        } finally {
+          warn.restore();
+        }
+        warn.called.should.equal(false);
+      });
+
+      it('keeps the first network', function() {
+        addBoth('keep-first');
+        Networks.get(0x6f).should.equal(first);
+        Networks.get('collbpub').should.equal(second);
+      });
+
+      it('indexes every network using the value', function() {
+        addBoth('multi');
+        Networks.get(0x6f).should.equal(first);
+        Networks.remove(first);
+        Networks.get(0x6f).should.equal(second);
+      });
+
+      it('reports the keys each network is indexed by', function() {
+        var registry = Networks.createRegistry();
+        registry.add(definition({
+          name: 'narrow',
+          currency: 'NRW',
+          prefix: {scripthash: 0x30},
+          port: 0x30,
+          indexBy: ['name', 'prefix.scripthash'],
+          bytes: 0x10
+        }));
+        var error;
+        try {
+          registry.add(definition({name: 'wide', currency: 'WDE', port: 0x30, bytes: 0x20}), {collision: 'throw'});
+        } catch (e) {
+          error = e;
+        }
+        error.collisions.length.should.equal(1);
+        lodash.map(error.collisions[0].networks, 'key').should.deep.equal(['prefix.scripthash', 'port']);
+      });
+
+      it('lets networks share a protocol', function() {
+        var registry = Networks.createRegistry();
+        registry.add([
+          definition({name: 'sharelive', currency: 'SHP', protocol: 'share', bytes: 0x10}),
+          definition({name: 'sharetest', currency: 'SHP', alias: 'testnet', protocol: 'share', bytes: 0x20})
+        ], {collision: 'throw'});
+        registry.getProtocols().should.deep.equal(['share']);
+      });
+
+      it('rejects an unknown policy', function() {
+        expect(function() {
+          Networks.add(definition(colla), {collision: 'ignore'});
+        }).to.throw(owsCommon.errors.InvalidArgument);
+      });
+
+    });
+
+    describe('regtest', function() {
+
+      var definition = {
+        currency: 'RGT',
+        description: 'RGT Testnet',
+        name: 'rgttest',
+        alias: 'testnet',
+        coinIndex: 0x80000001,
+        protocol: 'rgt',
+        prefix: {
+          pubkeyhash: 0x27,
+          privatekey: 0xa7,
+          scripthash: 0x28,
+          bech32: 'trgt'
+        },
+        version: {
+          xpubkey: {
+            bytes: 0x0278b216,
+            text: 'tpub'
+          },
+          xprivkey: {
+            bytes: 0x0278adec,
+            text: 'tprv'
+          }
+        },
+        networkMagic: 0x0b110907,
+        port: 20014,
+        dnsSeeds: ['rgttest.localhost'],
+        regtest: {
+          prefix: {
+            bech32: 'rgtrt'
+          },
+          networkMagic: 0xfabfb5da,
+          port: 20015
+        }
+      };
+
+      var registry;
+      var testnet;
+      var regtest;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add(lodash.cloneDeep(definition), {collision: 'throw'});
+        testnet = registry.get('rgttest');
+        regtest = registry.get('rgttest-regtest');
+      });
+
+      it('adds the regtest variant of a testnet', function() {
+        regtest.isRegtest().should.equal(true);
+        testnet.isRegtest().should.equal(false);
+        regtest.alias.should.equal('regtest');
+        regtest.description.should.equal('RGT Testnet Regtest');
+        regtest.networkMagic.should.deep.equal(new Buffer('fabfb5da', 'hex'));
+        regtest.port.should.equal(20015);
+        regtest.dnsSeeds.should.deep.equal([]);
+        regtest.prefix.should.deep.equal({
+          pubkeyhash: 0x27,
+          privatekey: 0xa7,
+          scripthash: 0x28,
+          bech32: 'rgtrt'
+        });
+      });
+
+      it('switches lookups of shared values', function() {
+        registry.get(0x27).should.equal(testnet);
+        registry.get(0x27, 'prefix.pubkeyhash').should.equal(testnet);
+        registry.getAll(0x27)[0].should.equal(testnet);
+
+        registry.enableRegtest('RGT');
+        registry.get(0x27).should.equal(regtest);
+        registry.get(0x27, 'prefix.pubkeyhash').should.equal(regtest);
+        registry.get('tpub').should.equal(regtest);
+        registry.getAll(0x27).should.deep.equal([regtest, testnet]);
+
+        registry.disableRegtest('RGT');
+        registry.get(0x27).should.equal(testnet);
+        registry.get(0x27, 'prefix.pubkeyhash').should.equal(testnet);
+      });
+
+      it('always finds each network by its own values', function() {
+        registry.enableRegtest();
+        registry.get('rgttest').should.equal(testnet);
+        registry.get(20014).should.equal(testnet);
+        registry.disableRegtest();
+        registry.get('rgttest-regtest').should.equal(regtest);
+        registry.get(20015, 'port').should.equal(regtest);
+      });
+
+      it('only switches the specified currency', function() {
+        registry.enableRegtest('BTC');
+        registry.get(0x27).should.equal(testnet);
+      });
+
+      it('removes the regtest variant with its testnet', function() {
+        registry.enableRegtest();
+        registry.remove(testnet);
+        should.not.exist(registry.get('rgttest-regtest'));
+        should.not.exist(registry.get(0x27));
+      });
+
+      it('restores the testnet when the regtest network is removed', function() {
+        registry.enableRegtest();
+        registry.remove(regtest);
+        registry.get(0x27).should.equal(testnet);
+      });
+
+      it('exports the regtest variant with its testnet', function() {
+        var exported = registry.exportAll();
+        lodash.map(exported.networks, 'name').should.deep.equal(['rgttest']);
+        exported.networks[0].regtest.networkMagic.should.equal('fabfb5da');
+        var other = Networks.createRegistry();
+        other.importAll(exported);
+        other.get('rgttest-regtest').networkMagic.should.deep.equal(regtest.networkMagic);
+      });
+
+      it('only accepts a regtest variant on a testnet', function() {
+        var def = lodash.cloneDeep(definition);
+        def.alias = 'livenet';
+        delete def.regtest.port;
+        lodash.map(Networks.validate(def), 'field').should.deep.equal(['regtest']);
+        def.alias = 'testnet';
+        lodash.map(Networks.validate(def), 'field').should.deep.equal(['regtest.port']);
+      });
+
+    });
+
+    describe('address prefixes', function() {
+
+      var data = 'qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+      var registry;
+
+      beforeEach(function() {
+        var testnet = definition({
+          name: 'hrptest',
+          currency: 'HRP',
+          alias: 'testnet',
+          prefix: {bech32: 'thrp', cashaddr: 'hrptest'},
+          bytes: 0x10
+        });
+        testnet.regtest = {
+          prefix: {bech32: 'hrprt'},
+          networkMagic: 0x01020304,
+          port: 18444
+        };
+        registry = Networks.createRegistry();
+        registry.add([
+          definition({name: 'hrpnet', currency: 'HRP', prefix: {bech32: 'hrp', cashaddr: 'hrpcash'}, bytes: 0x20}),
+          testnet,
+          definition({name: 'hrpother', currency: 'OTH', prefix: {bech32: 'hrp'}, bytes: 0x30})
+        ], {collision: 'multi'});
+      });
+
+      it('validates the address prefixes', function() {
+        var invalid = definition({
+          name: 'hrpbad',
+          currency: 'HRP',
+          prefix: {bech32: 'HRP', cashaddr: 'hrp cash'},
+          bytes: 0x40
+        });
+        lodash.map(registry.validate(invalid), 'field').should.deep.equal(['prefix.bech32', 'prefix.cashaddr']);
+      });
+
+      it('indexes the address prefixes', function() {
+        registry.indexAll.should.include.members(['prefix.bech32', 'prefix.cashaddr']);
+        registry.get('thrp').name.should.equal('hrptest');
+        registry.get('hrpcash', 'prefix.cashaddr').name.should.equal('hrpnet');
+      });
+
+      it('gets the network of a bech32 address', function() {
+        registry.get('hrp1' + data).name.should.equal('hrpnet');
+        registry.get('HRP1' + data.toUpperCase()).name.should.equal('hrpnet');
+        registry.get('thrp1' + data).name.should.equal('hrptest');
+        registry.get('hrprt1' + data).name.should.equal('hrptest-regtest');
+        should.not.exist(registry.get('Hrp1' + data));
+        should.not.exist(registry.get('xyz1' + data));
+      });
+
+      it('gets the network of a CashAddr address', function() {
+        registry.get('hrpcash:' + data).name.should.equal('hrpnet');
+        registry.get('hrptest:' + data).name.should.equal('hrptest');
+        should.not.exist(registry.get('hrpcash:' + data + 'b'));
+      });
+
+      it('prefers a network with the preferred currency', function() {
+        registry.get('hrp1' + data, undefined, 'OTH').name.should.equal('hrpother');
+        registry.get('hrp1' + data, undefined, 'XYZ').name.should.equal('hrpnet');
+      });
+
+    });
+
+    describe('network comparison', function() {
+
+      var registry;
+      var definitions;
+
+      beforeEach(function() {
+        var testnet = definition({
+          name: 'cmptest',
+          currency: 'CMP',
+          alias: 'testnet',
+          prefix: {pubkeyhash: 0x20},
+          networkMagic: 0x20,
+          port: 0x20,
+          bytes: 0x20
+        });
+        testnet.regtest = {
+          networkMagic: 0x01020306,
+          port: 18446
+        };
+        definitions = [
+          definition({
+            name: 'cmpnet',
+            currency: 'CMP',
+            prefix: {pubkeyhash: 0x10},
+            networkMagic: 0x10,
+            port: 0x10,
+            bytes: 0x10
+          }),
+          testnet,
+          definition({
+            name: 'othnet',
+            currency: 'OTH',
+            prefix: {pubkeyhash: 0x30},
+            networkMagic: 0x30,
+            port: 0x30,
+            bytes: 0x30
+          })
+        ];
+        registry = Networks.createRegistry();
+        registry.add(lodash.cloneDeep(definitions));
+      });
+
+      it('compares networks by their definition', function() {
+        var other = Networks.createRegistry();
+        other.importAll(registry.exportAll());
+        registry.get('cmpnet').equals(other.get('cmpnet')).should.equal(true);
+        registry.get('cmptest').equals(other.get('cmptest')).should.equal(true);
+        registry.get('cmpnet').equals(registry.get('cmpnet')).should.equal(true);
+        registry.get('cmpnet').equals(other.get('cmptest')).should.equal(false);
+        registry.get('cmpnet').equals(definitions[0]).should.equal(false);
+        registry.get('cmpnet').equals(undefined).should.equal(false);
+      });
+
+      it('ignores the index keys when comparing networks', function() {
+        var minimal = lodash.extend(lodash.cloneDeep(definitions[0]), {indexBy: Networks.indexMinimal});
+        var changed = lodash.extend(lodash.cloneDeep(definitions[0]), {port: 0x11});
+        registry.get('cmpnet').equals(Networks.createRegistry().add(minimal)[0]).should.equal(true);
+        registry.get('cmpnet').equals(Networks.createRegistry().add(changed)[0]).should.equal(false);
+      });
+
+      it('tests whether a network is a livenet or a testnet', function() {
+        registry.get('cmpnet').isLivenet().should.equal(true);
+        registry.get('cmpnet').isTestnet().should.equal(false);
+        registry.get('cmptest').isLivenet().should.equal(false);
+        registry.get('cmptest').isTestnet().should.equal(true);
+        registry.get('cmptest-regtest').isTestnet().should.equal(true);
+        registry.get('root').isLivenet().should.equal(false);
+        registry.get('root').isTestnet().should.equal(false);
+      });
+
+      it('returns the other networks with the same currency', function() {
+        registry.get('cmpnet').siblings().should.deep.equal([registry.get('cmptest'), registry.get('cmptest-regtest')]);
+        registry.get('othnet').siblings().should.deep.equal([]);
+      });
+
+      it('switches between the livenet and testnet of a currency', function() {
+        var livenet = registry.get('cmpnet');
+        var testnet = registry.get('cmptest');
+        livenet.livenet().should.equal(livenet);
+        livenet.testnet().should.equal(testnet);
+        testnet.livenet().should.equal(livenet);
+        registry.get('cmptest-regtest').testnet().should.equal(testnet);
+        should.not.exist(registry.get('othnet').testnet());
+      });
+
+      it('finds siblings in the registry the network was added to', function() {
+        var other = Networks.createRegistry();
+        other.add(lodash.cloneDeep(definitions[0]));
+        should.not.exist(other.get('cmpnet').testnet());
+        registry.get('cmpnet').testnet().should.equal(registry.get('cmptest'));
+      });
+
+    });
+
+    describe('chain parameters', function() {
+
+      var genesisHash = '0000000000000000000000000000000000000000000000000000000000a1b2c3';
+      var regtestGenesisHash = '0000000000000000000000000000000000000000000000000000000000d4e5f6';
+      var checkpointHash = '00000000000000000000000000000000000000000000000000000000000c0ffe';
+
+      var chainnet = {
+        name: 'chainnet',
+        currency: 'CHP',
+        alias: 'testnet',
+        prefix: {
+          pubkeyhash: 0x61
+        },
+        networkMagic: 0xe7beb4e0,
+        port: 20030,
+        genesisHash: genesisHash,
+        activationHeights: {
+          bip34: 100,
+          bip65: 200,
+          bip66: 150,
+          segwit: 0
+        },
+        blockTime: 600,
+        maxMoney: 2100000000000000,
+        dustThreshold: 546,
+        defaultFeeRate: 10000,
+        checkpoints: [
+          {height: 0, hash: genesisHash},
+          {height: 1000, hash: checkpointHash}
+        ],
+        regtest: {
+          name: 'chainnet-reg',
+          networkMagic: 0xe7beb4e1,
+          port: 20031,
+          genesisHash: regtestGenesisHash,
+          activationHeights: {
+            segwit: 0
+          }
+        },
+        bytes: 0x0278b230
+      };
+
+      var registry;
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+      });
+
+      it('exposes the chain parameters on the network', function() {
+        var network = registry.add(definition(chainnet))[0];
+        network.genesisHash.should.equal(genesisHash);
+        network.activationHeights.should.deep.equal({bip34: 100, bip65: 200, bip66: 150, segwit: 0});
+        network.blockTime.should.equal(600);
+        network.maxMoney.should.equal(2100000000000000);
+        network.dustThreshold.should.equal(546);
+        network.defaultFeeRate.should.equal(10000);
+        network.checkpoints.should.deep.equal([{height: 0, hash: genesisHash}, {height: 1000, hash: checkpointHash}]);
+        expect(function() {
+          network.blockTime = 60;
+        }).to.throw(TypeError);
+      });
+
+      it('leaves undeclared chain parameters undefined', function() {
+        var root = registry.get('root');
+        should.not.exist(root.genesisHash);
+        should.not.exist(root.activationHeights);
+        should.not.exist(root.checkpoints);
+        root.toJSON().should.not.have.property('blockTime');
+      });
+
+      it('finds a network by its genesis hash', function() {
+        var added = registry.add(definition(chainnet));
+        registry.indexAll.should.include('genesisHash');
+        registry.indexMinimal.should.not.include('genesisHash');
+        registry.get(genesisHash).should.equal(added[0]);
+        registry.get(regtestGenesisHash).should.equal(added[1]);
+      });
+
+      it('gives the regtest network only its own genesis hash, activation heights and no checkpoints', function() {
+        var regtest = registry.add(definition(chainnet))[1];
+        regtest.genesisHash.should.equal(regtestGenesisHash);
+        regtest.activationHeights.should.deep.equal({segwit: 0});
+        should.not.exist(regtest.checkpoints);
+        regtest.blockTime.should.equal(600);
+        regtest.dustThreshold.should.equal(546);
+      });
+
+      it('round trips the chain parameters through JSON', function() {
+        var network = registry.add(definition(chainnet))[0];
+        var other = Networks.createRegistry();
+        other.fromJSON(JSON.stringify(network)).equals(network).should.equal(true);
+        other.get('chainnet-reg').genesisHash.should.equal(regtestGenesisHash);
+      });
+
+      it('validates the chain parameters', function() {
+        var def = definition(chainnet);
+        def.genesisHash = genesisHash.toUpperCase();
+        def.activationHeights.bip66 = -1;
+        def.blockTime = 0;
+        def.maxMoney = Math.pow(2, 53);
+        def.dustThreshold = '546';
+        def.defaultFeeRate = 0.5;
+        def.checkpoints = [{height: 1000, hash: checkpointHash}, {height: 1000, hash: genesisHash}];
+        def.regtest.activationHeights = {csv: 0};
+        lodash.map(Networks.validate(def), 'field').should.deep.equal([
+          'genesisHash',
+          'activationHeights.bip66',
+          'blockTime',
+          'maxMoney',
+          'dustThreshold',
+          'defaultFeeRate',
+          'checkpoints',
+          'regtest.activationHeights'
+        ]);
+      });
+
+    });
+
+    describe('SLIP132 versions', function() {
+
+      var Base58Check = owsCommon.encoding.Base58Check;
+
+      function version(pub, pubText, priv, privText) {
+        return {
+          xpubkey: {
+            bytes: pub,
+            text: pubText
+          },
+          xprivkey: {
+            bytes: priv,
+            text: privText
+          }
+        };
+      }
+
+      function encode(bytes) {
+        var buffer = Buffer.alloc(78, 1);
+        buffer.writeUInt32BE(bytes, 0);
+        return Base58Check.encode(buffer);
+      }
+
+      var registry;
+      var definition = {
+        currency: 'SLP',
+        description: 'slipnet',
+        name: 'slipnet',
+        alias: 'livenet',
+        coinIndex: 0x81234570,
+        protocol: 'slipnet',
+        prefix: {},
+        version: lodash.extend(version(0x0488b21e, 'xpub', 0x0488ade4, 'xprv'), {
+          slip132: {
+            'p2sh-p2wpkh': version(0x049d7cb9, 'ypub', 0x049d7878, 'yprv'),
+            'p2wpkh': version(0x04b24746, 'zpub', 0x04b2430c, 'zprv'),
+            'p2sh-p2wsh': version(0x0295b43f, 'Ypub', 0x0295b005, 'Yprv'),
+            'p2wsh': version(0x02aa7ed3, 'Zpub', 0x02aa7a99, 'Zprv')
+          }
+        })
+      };
+
+      beforeEach(function() {
+        registry = Networks.createRegistry();
+        registry.add(lodash.cloneDeep(definition));
+      });
+
+      it('validates the SLIP132 versions', function() {
+        var invalid = lodash.cloneDeep(definition);
+        invalid.version.slip132.p2tr = version(1, 'tpub', 2, 'tprv');
+        registry.validate(invalid)[0].field.should.equal('version.slip132');
+
+        invalid = lodash.cloneDeep(definition);
+        delete invalid.version.slip132.p2wpkh.xprivkey;
+        invalid.version.slip132.p2wsh.xpubkey.bytes = -1;
+        lodash.map(registry.validate(invalid), 'field').should.deep.equal([
+          'version.slip132.p2wpkh.xprivkey',
+          'version.slip132.p2wsh.xpubkey.bytes'
+        ]);
+      });
+
+      it('indexes the SLIP132 versions', function() {
+        registry.indexAll.should.include('version.slip132.p2wpkh.xpubkey.bytes');
+        registry.get(0x04b24746).name.should.equal('slipnet');
+        registry.get('Zprv').name.should.equal('slipnet');
+        registry.get(encode(0x049d7cb9)).network.name.should.equal('slipnet');
+      });
+
+      it('detects the script type of an extended key', function() {
+        var detected = registry.get(encode(0x04b24746));
+        detected.network.should.equal(registry.get('slipnet'));
+        detected.scriptType.should.equal('p2wpkh');
+        detected.keyType.should.equal('xpubkey');
+        detected.text.should.equal('zpub');
+
+        registry.get(encode(0x0488ade4)).should.include({scriptType: 'p2pkh', keyType: 'xprivkey'});
+        registry.get(encode(0x0295b005)).should.include({scriptType: 'p2sh-p2wsh', text: 'Yprv'});
+        should.not.exist(registry.get(encode(0x01020304)));
+        should.not.exist(registry.get('0OIl'));
+      });
+
+      it('converts an extended key to another script type', function() {
+        var zpub = encode(0x04b24746);
+        var xpub = registry.convertExtendedKey(zpub, 'p2pkh');
+        xpub.should.equal(encode(0x0488b21e));
+        xpub.indexOf('xpub').should.equal(0);
+        registry.convertExtendedKey(xpub, 'p2wpkh').should.equal(zpub);
+        registry.convertExtendedKey(encode(0x0488ade4), 'p2wsh').indexOf('Zprv').should.equal(0);
+      });
+
+      it('does not convert to an unknown version', function() {
+        (function() {
+          registry.convertExtendedKey(encode(0x01020304), 'p2pkh');
+        }).should.throw('unknown extended key version');
+        (function() {
+          registry.convertExtendedKey(encode(0x04b24746), 'p2tr');
+        }).should.throw('slipnet has no p2tr xpubkey version');
+      });
+
+      it('does not convert a corrupted extended key', function() {
+        var zpub = encode(0x04b24746);
+        var corrupted = zpub.slice(0, -1) + (zpub.slice(-1) === '1' ? '2' : '1');
+        (function() {
+          registry.convertExtendedKey(corrupted, 'p2pkh');
+        }).should.throw(owsCommon.errors.InvalidArgument, 'invalid base58check encoding');
+        should.not.exist(registry.get(corrupted));
+      });
+
+    });
+
+  });
+
   it('should get the default network', function() {
     var network = Networks.get('root');
     network.should.equal(Networks.defaultNetwork);
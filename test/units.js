@@ -5,6 +5,7 @@ var should = require('chai').should();
 
 var owsCommon = require('@owstack/ows-common');
 var Networks = require('..');
+var Unit = Networks.Unit;
 var lodash = owsCommon.deps.lodash;
 
 describe('Units', function() {
@@ -168,4 +169,395 @@ describe('Units', function() {
     }).should.equal('1.34500000 BTC');
   });
 
+  describe('exact amounts', function() {
+
+    var TOKEN_UNITS = [{
+      name: 'Token',
+      shortName: 'TKN',
+      code: 'TKN',
+      accessor: 'TKN',
+      kind: 'standard',
+      value: '1000000000000000000',
+      precision: {
+        full: {
+          maxDecimals: 18,
+          minDecimals: 2
+        },
+        short: {
+          maxDecimals: 6,
+          minDecimals: 2
+        }
+      }
+    }, {
+      name: 'base unit',
+      shortName: 'base',
+      code: 'base',
+      accessor: 'base',
+      kind: 'atomic',
+      value: 1,
+      precision: {
+        full: {
+          maxDecimals: 0,
+          minDecimals: 0
+        },
+        short: {
+          maxDecimals: 0,
+          minDecimals: 0
+        }
+      }
+    }];
+
+    it('accepts decimal strings without float multiplication', function() {
+      var unit = new Networks.Unit(UNITS, '0.00000001', 'BTC');
+      unit.toAtomicUnit().should.equal(1);
+      unit.toDecimalString('BTC').should.equal('0.00000001');
+      new Networks.Unit(UNITS, '81.99', 'mBTC').toAtomicUnit().should.equal(8199000);
+      new Networks.Unit(UNITS, 81.99, 'mBTC').toAtomicUnit().should.equal(8199000);
+      new Networks.Unit(UNITS, '-1.5e-3', 'BTC').toDecimalString().should.equal('-150000');
+    });
+
+    it('keeps the precision of amounts above 2^53 atomic units', function() {
+      var unit = new Networks.Unit(TOKEN_UNITS, '123456789.123456789123456789', 'TKN');
+      unit.toDecimalString('TKN').should.equal('123456789.123456789123456789');
+      unit.toDecimalString('base').should.equal('123456789123456789123456789');
+      unit.toDecimalString().should.equal('123456789123456789123456789');
+      unit.toString('TKN').should.equal('123,456,789.123457 TKN');
+
+      var sats = new Networks.Unit(UNITS, '90071992.54740993', 'BTC');
+      sats.toDecimalString('satoshi').should.equal('9007199254740993');
+      sats.toDecimalString('BTC').should.equal('90071992.54740993');
+    });
+
+    it('accepts BigInt amounts', function() {
+      if (typeof BigInt !== 'function') {
+        return this.skip();
+      }
+      /* global BigInt */
+      new Networks.Unit(TOKEN_UNITS, BigInt('1000000000000000001'), 'base').toDecimalString('TKN')
+        .should.equal('1.000000000000000001');
+    });
+
+    it('rounds amounts below one atomic unit half away from zero', function() {
+      new Networks.Unit(UNITS, '0.000000015', 'BTC').toAtomicUnit().should.equal(2);
+      new Networks.Unit(UNITS, '0.000000014', 'BTC').toAtomicUnit().should.equal(1);
+      new Networks.Unit(UNITS, '-0.000000015', 'BTC').toAtomicUnit().should.equal(-2);
+    });
+
+    it('converts fiat amounts exactly', function() {
+      var unit = new Networks.Unit(UNITS, 100, 350);
+      unit.toDecimalString('BTC').should.equal('0.28571429');
+      unit.to(350).should.equal(100);
+      new Networks.Unit(UNITS, '1', 'BTC').atRate(12345.678).should.equal(12345.68);
+    });
+
+    it('rejects invalid amounts', function() {
+      ['1.2.3', 'abc', '', NaN, Infinity, {}].forEach(function(amount) {
+        expect(function() {
+          return new Networks.Unit(UNITS, amount, 'BTC');
+        }).to.throw(owsCommon.errors.InvalidArgument);
+      });
+    });
+
+  });
+
+  describe('#parse', function() {
+
+    function parse(text, opts) {
+      return Unit.parse(text, lodash.extend({units: UNITS}, opts)).toDecimalString('satoshi');
+    }
+
+    function parseError(text, opts) {
+      try {
+        Unit.parse(text, lodash.extend({units: UNITS}, opts));
+      } catch (e) {
+        e.should.be.an.instanceof(owsCommon.errors.Unit.InvalidFormat);
+        e.text.should.equal(text);
+        return e.reason;
+      }
+      throw new Error('expected ' + text + ' not to parse');
+    }
+
+    it('parses amounts with a unit suffix', function() {
+      parse('1,234.56 mBTC').should.equal('123456000');
+      parse('500 sats').should.equal('500');
+      parse('2 satoshis').should.equal('2');
+      parse('0.5BTC').should.equal('50000000');
+      parse('-.5 BTC').should.equal('-50000000');
+      parse('1,000,000 bits').should.equal('100000000');
+    });
+
+    it('recognizes the unit suffix regardless of case with the ignoreCase option', function() {
+      parse('0.5btc', {ignoreCase: true}).should.equal('50000000');
+      parse('1 MBTC', {ignoreCase: true}).should.equal('100000');
+      parseError('0.5btc').should.equal('unknown-unit');
+    });
+
+    it('uses the default code for amounts without unit', function() {
+      parse('12', {defaultCode: 'BTC'}).should.equal('1200000000');
+      parseError('12').should.equal('missing-unit');
+    });
+
+    it('uses the separator options', function() {
+      var eu = {thousandsSeparator: '.', decimalSeparator: ','};
+      parse('1.234,56', lodash.extend({defaultCode: 'mBTC'}, eu)).should.equal('123456000');
+      parse('1 234,5 mBTC', {thousandsSeparator: ' ', decimalSeparator: ','}).should.equal('123450000');
+      parse('1\u00a0234,5 mBTC', {thousandsSeparator: ' ', decimalSeparator: ','}).should.equal('123450000');
+    });
+
+    it('uses the separators of the locale', function() {
+      if (Intl.NumberFormat.supportedLocalesOf(['de-DE', 'en-IN']).length < 2) {
+        return this.skip();
+      }
+      parse('1.234,56 mBTC', {locale: 'de-DE'}).should.equal('123456000');
+      parseError('1,234.56 mBTC', {locale: 'de-DE'}).should.equal('invalid-number');
+      parseError('0.5 BTC', {locale: 'de-DE'}).should.equal('invalid-number');
+      parseError('1.5 BTC', {locale: 'de-DE'}).should.equal('invalid-number');
+      parseError('0.500 BTC', {locale: 'de-DE'}).should.equal('invalid-number');
+      parse('12,34,567 sats', {locale: 'en-IN'}).should.equal('1234567');
+    });
+
+    it('rejects invalid amounts', function() {
+      parseError('').should.equal('empty');
+      parseError('BTC').should.equal('invalid-number');
+      parseError('1.2.3 BTC').should.equal('invalid-number');
+      parseError(',5 BTC').should.equal('invalid-number');
+      parseError('1,,000 BTC').should.equal('invalid-number');
+      parseError('12,34 BTC').should.equal('invalid-number');
+      parseError('1,2,3 BTC').should.equal('invalid-number');
+      parseError('1234,567 BTC').should.equal('invalid-number');
+      parseError(',500 BTC').should.equal('invalid-number');
+      parseError('5 xyz', {defaultCode: 'BTC'}).should.equal('unknown-unit');
+      parseError('0.000000001 BTC').should.equal('too-many-decimals');
+      parseError('1.5 sats').should.equal('too-many-decimals');
+    });
+
+    it('parses the output of toString', function() {
+      var unit = new Unit(UNITS, '-1234.5678', 'BTC');
+      ['BTC', 'mBTC', 'uBTC', 'bit', 'satoshi'].forEach(function(code) {
+        var text = unit.toString(code, {fullPrecision: true});
+        Unit.parse(text, {units: UNITS}).eq(unit).should.equal(true);
+      });
+      var eu = {thousandsSeparator: '.', decimalSeparator: ','};
+      Unit.parse(unit.toString('mBTC', eu), lodash.extend({units: UNITS}, eu)).toDecimalString('BTC')
+        .should.equal('-1234.5678');
+    });
+
+  });
+
+  describe('locale formatting', function() {
+
+    var SYMBOL_UNITS = lodash.map(UNITS, function(unit) {
+      return unit.code === 'BTC' ? lodash.extend({symbol: '\u20bf'}, unit) : unit;
+    });
+
+    var locales = ['de-DE', 'en-IN', 'es', 'ar-EG'];
+
+    function requireLocales(test) {
+      if (Intl.NumberFormat.supportedLocalesOf(locales).length < locales.length) {
+        test.skip();
+      }
+    }
+
+    afterEach(function() {
+      Unit.setDefaultLocale(undefined);
+    });
+
+    it('uses the separators and grouping of the locale', function() {
+      requireLocales(this);
+      var unit = new Unit(UNITS, '-1234.5', 'BTC');
+      unit.toString('BTC', {locale: 'de-DE'}).should.equal('-1.234,5 BTC');
+      unit.toString('satoshi', {locale: 'en-IN'}).should.equal('-1,23,45,00,00,000 sats');
+      new Unit(UNITS, 1234, 'satoshi').toString('satoshi', {locale: 'es'}).should.equal('1234 sats');
+      new Unit(UNITS, 12345, 'satoshi').toString('satoshi', {locale: 'es'}).should.equal('12.345 sats');
+    });
+
+    it('uses the digits and minus sign of the locale', function() {
+      requireLocales(this);
+      new Unit(UNITS, '-1234.5', 'BTC').toString('BTC', {locale: 'ar-EG', includeUnits: false})
+        .should.equal('\u061c-\u0661\u066c\u0662\u0663\u0664\u066b\u0665');
+    });
+
+    it('lets the separator options override the locale', function() {
+      requireLocales(this);
+      var unit = new Unit(UNITS, '1234.5', 'BTC');
+      unit.toString('BTC', {locale: 'de-DE', thousandsSeparator: '\''}).should.equal('1\'234,5 BTC');
+      unit.toString('BTC', {locale: 'de-DE', includeSeparators: false}).should.equal('1234,5 BTC');
+    });
+
+    it('uses the default locale', function() {
+      requireLocales(this);
+      var unit = new Unit(UNITS, '1234.5', 'BTC');
+      Unit.setDefaultLocale('de-DE');
+      Unit.getDefaultLocale().should.equal('de-DE');
+      unit.toString('BTC').should.equal('1.234,5 BTC');
+      unit.toString('BTC', {locale: 'en-US'}).should.equal('1,234.5 BTC');
+      Unit.parse('1.234,5 BTC', {units: UNITS}).eq(unit).should.equal(true);
+      unit.inspect().should.equal('<Unit: 123450000000 sats>');
+      Unit.setDefaultLocale(undefined);
+      unit.toString('BTC').should.equal('1,234.5 BTC');
+    });
+
+    it('rejects an invalid locale', function() {
+      expect(function() {
+        Unit.setDefaultLocale('not a locale');
+      }).to.throw(owsCommon.errors.InvalidArgument);
+      should.not.exist(Unit.getDefaultLocale());
+    });
+
+    it('displays the unit code, short name or symbol', function() {
+      var unit = new Unit(SYMBOL_UNITS, '1.5', 'BTC');
+      unit.toString('satoshi', {unitDisplay: 'code'}).should.equal('150,000,000 satoshi');
+      unit.toString('BTC', {unitDisplay: 'symbol'}).should.equal('1.5 \u20bf');
+      unit.toString('satoshi', {unitDisplay: 'symbol'}).should.equal('150,000,000 sats');
+      unit.toString('BTC', {unitDisplay: 'code', unitPosition: 'prefix'}).should.equal('BTC 1.5');
+      expect(function() {
+        unit.toString('BTC', {unitDisplay: 'name'});
+      }).to.throw(owsCommon.errors.InvalidArgument);
+    });
+
+    it('places a symbol like a currency symbol of the locale', function() {
+      requireLocales(this);
+      var unit = new Unit(SYMBOL_UNITS, '-1.5', 'BTC');
+      unit.toString('BTC', {locale: 'en-IN', unitDisplay: 'symbol'}).should.equal('-\u20bf1.5');
+      unit.toString('BTC', {locale: 'de-DE', unitDisplay: 'symbol'}).should.equal('-1,5\u00a0\u20bf');
+      unit.toString('BTC', {locale: 'de-DE', unitDisplay: 'symbol', unitPosition: 'prefix'})
+        .should.equal('-\u20bf\u00a01,5');
+    });
+
+    it('returns the formatted parts', function() {
+      new Unit(UNITS, '-1234.5', 'BTC').formatToParts('BTC').should.deep.equal([
+        {type: 'minusSign', value: '-'},
+        {type: 'integer', value: '1'},
+        {type: 'group', value: ','},
+        {type: 'integer', value: '234'},
+        {type: 'decimal', value: '.'},
+        {type: 'fraction', value: '5'},
+        {type: 'literal', value: ' '},
+        {type: 'unit', value: 'BTC'}
+      ]);
+    });
+
+    it('parses the output of toString in any locale', function() {
+      requireLocales(this);
+      var unit = new Unit(SYMBOL_UNITS, '-1234.56789', 'BTC');
+      locales.forEach(function(locale) {
+        ['shortName', 'symbol'].forEach(function(unitDisplay) {
+          var text = unit.toString('BTC', {locale: locale, unitDisplay: unitDisplay, fullPrecision: true});
+          Unit.parse(text, {units: SYMBOL_UNITS, locale: locale}).eq(unit).should.equal(true);
+        });
+      });
+    });
+
+  });
+
+  describe('arithmetic', function() {
+
+    function btc(amount) {
+      return new Networks.Unit(UNITS, amount, 'BTC');
+    }
+
+    it('adds and subtracts units', function() {
+      var a = btc('0.1');
+      var b = btc('0.2');
+      a.add(b).toDecimalString('BTC').should.equal('0.3');
+      a.sub(b).toDecimalString('BTC').should.equal('-0.1');
+      a.toDecimalString('BTC').should.equal('0.1');
+      a.add(b).should.be.an.instanceof(Networks.Unit);
+      a.add(b).BTC.should.equal(0.3);
+    });
+
+    it('multiplies and divides by scalars', function() {
+      var a = btc('1');
+      a.mul(3).toDecimalString('BTC').should.equal('3');
+      a.mul('0.5').toDecimalString('BTC').should.equal('0.5');
+      a.div(3).toDecimalString().should.equal('33333333');
+      a.div(3, 'ceil').toDecimalString().should.equal('33333334');
+      btc('0.00000005').div(2).toAtomicUnit().should.equal(3);
+      btc('0.00000005').div(2, 'half-even').toAtomicUnit().should.equal(2);
+      btc('0.00000007').div(2, 'half-even').toAtomicUnit().should.equal(4);
+      btc('-0.00000005').div(2, 'floor').toAtomicUnit().should.equal(-3);
+      expect(function() {
+        a.div(0);
+      }).to.throw(owsCommon.errors.InvalidArgument);
+      expect(function() {
+        a.div(3, 'up');
+      }).to.throw(owsCommon.errors.InvalidArgument);
+    });
+
+    it('negates and takes the absolute value', function() {
+      var a = btc('-1.5');
+      a.isNegative().should.equal(true);
+      a.neg().toDecimalString('BTC').should.equal('1.5');
+      a.abs().toDecimalString('BTC').should.equal('1.5');
+      a.add(a.neg()).isZero().should.equal(true);
+    });
+
+    it('compares units', function() {
+      var a = btc('1');
+      var b = new Networks.Unit(UNITS, '100000000', 'satoshi');
+      a.cmp(b).should.equal(0);
+      a.eq(b).should.equal(true);
+      a.lt(btc('1.00000001')).should.equal(true);
+      a.gt(btc('-2')).should.equal(true);
+    });
+
+    it('sums and finds the extremes of a list of units', function() {
+      var list = [btc('1'), btc('3'), btc('-2'), btc('3')];
+      Unit.sum(list).toDecimalString('BTC').should.equal('5');
+      Unit.max(list).should.equal(list[1]);
+      Unit.min(list).should.equal(list[2]);
+      expect(function() {
+        Unit.sum([]);
+      }).to.throw(owsCommon.errors.InvalidArgument);
+    });
+
+    it('rounds conversions using the rounding option', function() {
+      btc('0.000000015').toAtomicUnit().should.equal(2);
+      new Unit(UNITS, '0.000000015', 'BTC', {rounding: 'floor'}).toAtomicUnit().should.equal(1);
+      new Unit(UNITS, '-0.000000015', 'BTC', {rounding: 'ceil'}).toAtomicUnit().should.equal(-1);
+      new Unit(UNITS, '0.000000025', 'BTC', {rounding: 'half-even'}).toAtomicUnit().should.equal(2);
+      new Unit(UNITS, 100, 350, {rounding: 'floor'}).toDecimalString('BTC').should.equal('0.28571428');
+
+      var unit = btc('1.2345678');
+      unit.to('BTC', {fullPrecision: false, rounding: 'floor'}).should.equal(1.234567);
+      unit.to('BTC', {fullPrecision: false, rounding: 'ceil'}).should.equal(1.234568);
+      unit.to('BTC', {rounding: 'ceil'}).should.equal(1.2345678);
+      unit.toString('BTC', {rounding: 'floor'}).should.equal('1.234567 BTC');
+      unit.toString('BTC').should.equal('1.234568 BTC');
+      btc('0.125').toString('BTC', {fullPrecision: false, rounding: 'half-even'}).should.equal('0.125 BTC');
+      btc('1').atRate(0.127).should.equal(0.13);
+      btc('1').atRate(0.127, {rounding: 'floor'}).should.equal(0.12);
+    });
+
+    it('rejects values that must be rounded when the rounding option is throw', function() {
+      expect(function() {
+        return new Unit(UNITS, '0.000000001', 'BTC', {rounding: 'throw'});
+      }).to.throw(owsCommon.errors.Unit.PrecisionLoss, '0.000000001 BTC');
+      new Unit(UNITS, '0.00000001', 'BTC', {rounding: 'throw'}).toAtomicUnit().should.equal(1);
+      btc('1.2345678').to('BTC', {rounding: 'throw'}).should.equal(1.2345678);
+      expect(function() {
+        btc('1.2345678').toString('BTC', {rounding: 'throw'});
+      }).to.throw(owsCommon.errors.Unit.PrecisionLoss);
+      expect(function() {
+        btc('1').div(3, 'throw');
+      }).to.throw(owsCommon.errors.Unit.PrecisionLoss);
+      new owsCommon.errors.Unit.PrecisionLoss('1').should.be.an.instanceof(owsCommon.errors.Unit);
+      new owsCommon.errors.Unit.UnknownCode('XYZ').should.be.an.instanceof(owsCommon.errors.Unit);
+      expect(function() {
+        btc('1').to('BTC', {rounding: 'down'});
+      }).to.throw(owsCommon.errors.InvalidArgument);
+    });
+
+    it('refuses to mix units built from different units', function() {
+      var other = new Networks.Unit(lodash.cloneDeep(UNITS), 1, 'BTC');
+      expect(function() {
+        btc(1).add(other);
+      }).to.throw(owsCommon.errors.InvalidArgument);
+      expect(function() {
+        btc(1).cmp(1);
+      }).to.throw(owsCommon.errors.InvalidArgument);
+    });
+
+  });
+
 });
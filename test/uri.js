@@ -0,0 +1,77 @@
+'use strict';
+
+require('chai').should();
+
+var Networks = require('..');
+var URI = Networks.URI;
+
+describe('URI', function() {
+
+  var registry = Networks.createRegistry();
+  registry.add([{
+    currency: 'URI',
+    description: 'urinet',
+    name: 'urinet',
+    alias: 'livenet',
+    coinIndex: 0x81234570,
+    protocol: 'urinet',
+    prefix: {},
+    version: {
+      xpubkey: {
+        bytes: 0x0278b219,
+        text: 'upub'
+      },
+      xprivkey: {
+        bytes: 0x0278adef,
+        text: 'uprv'
+      }
+    }
+  }]);
+
+  // An address without network information.
+  function Address(data) {
+    this.data = data;
+  }
+  Address.isValid = function(data) {
+    return /^u[0-9a-z]+$/.test(data);
+  };
+  Address.prototype.toString = function() {
+    return this.data;
+  };
+
+  var Unit = {
+    fromStandardUnit: function(amount) {
+      return {
+        toAtomicUnit: function() {
+          return amount * 100;
+        }
+      };
+    }
+  };
+
+  it('parses a URI string using the registered protocols', function() {
+    var uri = new URI(Address, registry, Unit, 'urinet:u123?amount=1.5&message=hi');
+    uri.address.toString().should.equal('u123');
+    uri.amount.should.equal(150);
+    uri.message.should.equal('hi');
+    uri.protocol.should.equal('urinet');
+  });
+
+  it('uses the network of the protocol when the address has no network', function() {
+    var uri = new URI(Address, registry, Unit, 'urinet:u123');
+    uri.network.should.equal(registry.get('urinet'));
+  });
+
+  it('uses the default network when no network is specified', function() {
+    var uri = new URI(Address, registry, Unit, {address: 'u123'});
+    uri.network.should.equal(registry.getDefault());
+    uri.protocol.should.equal('root');
+  });
+
+  it('rejects an unknown protocol', function() {
+    (function() {
+      return new URI(Address, registry, Unit, 'other:u123');
+    }).should.throw(TypeError, 'Invalid URI');
+  });
+
+});